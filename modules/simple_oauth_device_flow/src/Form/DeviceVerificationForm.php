@@ -240,6 +240,17 @@ final class DeviceVerificationForm extends FormBase {
       return;
     }
 
+    // A user or authorization time is only recorded once a decision was made:
+    // the device code was denied, or authorized and revoked since. Either way
+    // the decision is final (RFC 8628 Section 3.5).
+    if ($device_code_entity->getUserIdentifier() !== NULL || !$device_code_entity->get('authorized_at')->isEmpty()) {
+      $form_state->setErrorByName('user_code', $this->t('Authorization for this device has already been decided. Please request a new code from your device.'));
+      $this->logger->notice('Device verification failed: device already decided: @user_code', [
+        '@user_code' => $formatted_code,
+      ]);
+      return;
+    }
+
     // Store the device code entity for use in submit handler.
     $form_state->setTemporaryValue('device_code_entity', $device_code_entity);
   }
@@ -292,17 +303,35 @@ final class DeviceVerificationForm extends FormBase {
   public function submitDeny(array &$form, FormStateInterface $form_state): void {
     $device_code_entity = $form_state->getTemporaryValue('device_code_entity');
 
-    if (!empty($device_code_entity)) {
+    if (empty($device_code_entity)) {
+      $this->messenger()->addError($this->t('An error occurred during device authorization. Please try again.'));
+      return;
+    }
+
+    try {
+      // Record the decision so the polling device receives access_denied
+      // (RFC 8628 Section 3.5) instead of authorization_pending.
+      $device_code_entity->set('user_id', $this->currentUser->id());
+      $device_code_entity->setUserApproved(FALSE);
+      $device_code_entity->save();
+
       $this->logger->info('Device authorization denied by user @user_id for device code @device_code', [
         '@user_id' => $this->currentUser->id(),
         '@device_code' => $device_code_entity->getIdentifier(),
       ]);
-    }
 
-    $this->messenger()->addMessage($this->t('Device authorization was denied. The device will not have access to your account.'));
+      $this->messenger()->addMessage($this->t('Device authorization was denied. The device will not have access to your account.'));
 
-    // Redirect to avoid resubmission.
-    $form_state->setRedirect('simple_oauth_device_flow.device_verification_form');
+      // Redirect to avoid resubmission.
+      $form_state->setRedirect('simple_oauth_device_flow.device_verification_form');
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to deny device authorization: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      $this->messenger()->addError($this->t('An error occurred while denying the device. Please try again.'));
+    }
   }
 
 }
@@ -133,6 +133,8 @@ class DeviceFlowFunctionalTest extends BrowserTestBase {
     $this->helperDeviceVerificationForm();
     $this->helperDeviceVerificationFlow();
     $this->helperTokenEndpointWithDeviceGrant();
+    $this->helperDeviceVerificationDeny();
+    $this->helperDeviceVerificationDenyThenApprove();
 
     // Error handling.
     $this->helperDeviceAuthorizationWithInvalidClient();
@@ -383,6 +385,83 @@ class DeviceFlowFunctionalTest extends BrowserTestBase {
     $this->assertIsInt($data['expires_in']);
   }
 
+  /**
+   * Helper: Tests denying a device on the verification form.
+   *
+   * Validates that the denial is stored on the device code and that the
+   * polling device receives access_denied (RFC 8628 Section 3.5).
+   *
+   * @covers \Drupal\simple_oauth_device_flow\Form\DeviceVerificationForm::submitDeny
+   */
+  protected function helperDeviceVerificationDeny(): void {
+    $device_data = $this->requestDeviceAuthorization();
+
+    $this->drupalLogin($this->testUser);
+    $this->drupalGet('/oauth/device');
+    $this->submitForm([
+      'user_code' => $device_data['user_code'],
+    ], 'Deny Access');
+
+    $this->assertSession()->statusCodeEquals(200);
+    $this->assertSession()->pageTextContains('Device authorization was denied.');
+
+    // The decision is recorded against the denying user.
+    $device_code_storage = \Drupal::entityTypeManager()->getStorage('oauth2_device_code');
+    $device_code_storage->resetCache([$device_data['device_code']]);
+    $device_code_entity = $device_code_storage->load($device_data['device_code']);
+    $this->assertNotNull($device_code_entity, 'Device code entity should exist');
+    $this->assertEquals($this->testUser->id(), $device_code_entity->getUserIdentifier());
+    $this->assertFalse($device_code_entity->getUserApproved());
+
+    // Polling now fails with access_denied instead of authorization_pending.
+    $response = $this->httpClient->post($this->buildUrl('/oauth/token'), [
+      RequestOptions::FORM_PARAMS => [
+        'grant_type' => 'urn:ietf:params:oauth:grant-type:device_code',
+        'device_code' => $device_data['device_code'],
+        'client_id' => $this->consumer->getClientId(),
+      ],
+      RequestOptions::HTTP_ERRORS => FALSE,
+    ]);
+
+    // The League OAuth2 Server library answers access_denied with 401, while
+    // RFC 8628 Section 3.5 describes token endpoint errors as 400.
+    $this->assertContains($response->getStatusCode(), [400, 401]);
+    $response->getBody()->rewind();
+    $data = Json::decode($response->getBody()->getContents());
+    $this->assertEquals('access_denied', $data['error']);
+  }
+
+  /**
+   * Helper: Tests that a denied device code cannot be approved afterwards.
+   *
+   * Validates that the denial is final: submitting the same user code again
+   * is rejected and the device code stays denied.
+   *
+   * @covers \Drupal\simple_oauth_device_flow\Form\DeviceVerificationForm::validateForm
+   */
+  protected function helperDeviceVerificationDenyThenApprove(): void {
+    $device_data = $this->requestDeviceAuthorization();
+
+    $this->drupalLogin($this->testUser);
+    $this->drupalGet('/oauth/device');
+    $this->submitForm([
+      'user_code' => $device_data['user_code'],
+    ], 'Deny Access');
+    $this->assertSession()->pageTextContains('Device authorization was denied.');
+
+    $this->drupalGet('/oauth/device');
+    $this->submitForm([
+      'user_code' => $device_data['user_code'],
+    ], 'Authorize');
+    $this->assertSession()->pageTextContains('Authorization for this device has already been decided.');
+    $this->assertSession()->pageTextNotContains('Device authorized successfully!');
+
+    $device_code_storage = \Drupal::entityTypeManager()->getStorage('oauth2_device_code');
+    $device_code_storage->resetCache([$device_data['device_code']]);
+    $device_code_entity = $device_code_storage->load($device_data['device_code']);
+    $this->assertFalse($device_code_entity->getUserApproved());
+  }
+
   /**
    * Helper: Tests token endpoint with invalid device code.
    *
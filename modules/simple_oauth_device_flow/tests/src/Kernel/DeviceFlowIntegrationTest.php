@@ -2,8 +2,12 @@
 
 namespace Drupal\Tests\simple_oauth_device_flow\Kernel;
 
+use Drupal\Core\Entity\EntityStorageException;
+use Drupal\Core\Form\FormState;
 use Drupal\KernelTests\KernelTestBase;
 use Drupal\simple_oauth\Entities\ScopeEntity;
+use Drupal\simple_oauth_device_flow\Entity\DeviceCode;
+use Drupal\simple_oauth_device_flow\Form\DeviceVerificationForm;
 use Drupal\simple_oauth_device_flow\Service\DeviceCodeService;
 use Drupal\simple_oauth_device_flow\Service\UserCodeGenerator;
 use Drupal\simple_oauth_device_flow\Service\DeviceFlowSettingsService;
@@ -238,4 +242,36 @@ class DeviceFlowIntegrationTest extends KernelTestBase {
     $this->assertContains('admin', $scope_ids_after, 'Scope list should contain "admin"');
   }
 
+  /**
+   * Tests denying a device when the device code cannot be saved.
+   *
+   * The failure is reported on the verification form instead of surfacing
+   * as an uncaught exception.
+   *
+   * @covers \Drupal\simple_oauth_device_flow\Form\DeviceVerificationForm::submitDeny
+   */
+  public function testDeviceVerificationDenyStorageFailure(): void {
+    $device_code = $this->createMock(DeviceCode::class);
+    $device_code->expects($this->once())
+      ->method('setUserApproved')
+      ->with(FALSE);
+    $device_code->method('save')
+      ->willThrowException(new EntityStorageException('Storage unavailable'));
+
+    $form_object = DeviceVerificationForm::create($this->container);
+    $form = [];
+    $form_state = new FormState();
+    $form_state->setTemporaryValue('device_code_entity', $device_code);
+
+    $form_object->submitDeny($form, $form_state);
+
+    $messenger = $this->container->get('messenger');
+    $this->assertEquals(
+      ['An error occurred while denying the device. Please try again.'],
+      array_map('strval', $messenger->messagesByType('error'))
+    );
+    $this->assertEmpty($messenger->messagesByType('status'));
+    $this->assertNull($form_state->getRedirect());
+  }
+
 }
@@ -0,0 +1,131 @@
+<?php
+
+namespace Drupal\simple_oauth_native_apps\EventSubscriber;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\consumers\Entity\Consumer;
+use Drupal\simple_oauth_native_apps\Service\NativeClientDetector;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Event subscriber enforcing per-consumer redirect URI overrides.
+ *
+ * Consumers can disallow loopback (RFC 8252 Section 7.3) or private-use URI
+ * scheme (RFC 8252 Section 7.1) redirects, or leave them to client type
+ * detection. Authorization requests for a redirect URI the consumer does not
+ * allow are rejected without redirecting, as RFC 6749 Section 4.1.2.1
+ * requires for an invalid redirect URI.
+ */
+class RedirectUriPolicySubscriber implements EventSubscriberInterface {
+
+  /**
+   * The native client detector service.
+   *
+   * @var \Drupal\simple_oauth_native_apps\Service\NativeClientDetector
+   */
+  protected NativeClientDetector $nativeClientDetector;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected EntityTypeManagerInterface $entityTypeManager;
+
+  /**
+   * The logger service.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected LoggerInterface $logger;
+
+  /**
+   * Constructs a RedirectUriPolicySubscriber.
+   *
+   * @param \Drupal\simple_oauth_native_apps\Service\NativeClientDetector $native_client_detector
+   *   The native client detector service.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger channel factory.
+   */
+  public function __construct(
+    NativeClientDetector $native_client_detector,
+    EntityTypeManagerInterface $entity_type_manager,
+    LoggerChannelFactoryInterface $logger_factory,
+  ) {
+    $this->nativeClientDetector = $native_client_detector;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->logger = $logger_factory->get('simple_oauth_native_apps');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array {
+    $events = [];
+    // Priority 75 to check the redirect URI before PKCE validation.
+    $events[KernelEvents::REQUEST][] = ['onAuthorizationRequest', 75];
+    return $events;
+  }
+
+  /**
+   * Rejects authorization requests for redirect URIs the consumer disallows.
+   *
+   * @param \Symfony\Component\HttpKernel\Event\RequestEvent $event
+   *   The request event.
+   */
+  public function onAuthorizationRequest(RequestEvent $event): void {
+    $request = $event->getRequest();
+
+    if (strpos($request->getPathInfo(), '/oauth/authorize') === FALSE) {
+      return;
+    }
+
+    $client_id = $request->query->get('client_id');
+    $redirect_uri = $request->query->get('redirect_uri');
+    if (empty($client_id) || empty($redirect_uri)) {
+      return;
+    }
+
+    $client = $this->loadClient($client_id);
+    if (!$client || $this->nativeClientDetector->isRedirectUriAllowed($client, $redirect_uri)) {
+      return;
+    }
+
+    $event->setResponse(new JsonResponse([
+      'error' => 'invalid_request',
+      'error_description' => 'The redirect URI is not allowed for this client.',
+    ], 400, [
+      'Cache-Control' => 'no-store',
+      'Pragma' => 'no-cache',
+    ]));
+
+    $this->logger->warning('Rejected authorization request from client @client_id for disallowed redirect URI @uri', [
+      '@client_id' => $client_id,
+      '@uri' => $redirect_uri,
+    ]);
+  }
+
+  /**
+   * Loads a client entity by client ID.
+   *
+   * @param string $client_id
+   *   The client ID.
+   *
+   * @return \Drupal\consumers\Entity\Consumer|null
+   *   The client entity or NULL if not found.
+   */
+  protected function loadClient(string $client_id): ?Consumer {
+    $storage = $this->entityTypeManager->getStorage('consumer');
+    $clients = $storage->loadByProperties(['client_id' => $client_id]);
+
+    return $clients ? reset($clients) : NULL;
+  }
+
+}
@@ -275,6 +275,39 @@ class NativeClientDetector {
     return $this->resolveBooleanFromEnum($global_setting, $client);
   }
 
+  /**
+   * Determines whether a consumer's overrides allow a redirect URI.
+   *
+   * Applies the per-consumer loopback and custom URI scheme overrides to the
+   * redirect URI of an authorization request. Redirect URIs of other types,
+   * and consumers without the corresponding override, are not restricted.
+   *
+   * @param \Drupal\consumers\Entity\Consumer $client
+   *   The consumer entity.
+   * @param string $uri
+   *   The requested redirect URI.
+   *
+   * @return bool
+   *   TRUE if the consumer may be redirected to the URI.
+   */
+  public function isRedirectUriAllowed(Consumer $client, string $uri): bool {
+    $parsed = parse_url($uri);
+    $scheme = strtolower($parsed['scheme'] ?? '');
+    $host = strtolower(trim($parsed['host'] ?? '', '[]'));
+
+    if ($scheme === 'http' && in_array($host, ['127.0.0.1', '::1'], TRUE)) {
+      $override = $this->getConsumerLoopbackRedirectsOverride($client);
+    }
+    elseif ($scheme !== '' && !in_array($scheme, ['http', 'https'], TRUE)) {
+      $override = $this->getConsumerCustomUriSchemesOverride($client);
+    }
+    else {
+      return TRUE;
+    }
+
+    return empty($override) || $this->resolveBooleanFromEnum($override, $client);
+  }
+
   /**
    * Gets the consumer-specific custom URI schemes override setting.
    *
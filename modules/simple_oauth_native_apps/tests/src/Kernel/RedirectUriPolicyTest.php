@@ -0,0 +1,178 @@
+<?php
+
+namespace Drupal\Tests\simple_oauth_native_apps\Kernel;
+
+use Drupal\Component\Serialization\Json;
+use Drupal\consumers\Entity\Consumer;
+use Drupal\KernelTests\KernelTestBase;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\HttpKernelInterface;
+use PHPUnit\Framework\Attributes\Group;
+
+/**
+ * Tests enforcement of per-consumer redirect URI overrides.
+ *
+ * @coversDefaultClass \Drupal\simple_oauth_native_apps\EventSubscriber\RedirectUriPolicySubscriber
+ */
+#[Group('simple_oauth_native_apps')]
+class RedirectUriPolicyTest extends KernelTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'system',
+    'user',
+    'file',
+    'image',
+    'consumers',
+    'simple_oauth',
+    'simple_oauth_native_apps',
+    'serialization',
+    'options',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->installEntitySchema('user');
+    $this->installEntitySchema('file');
+    $this->installEntitySchema('consumer');
+    $this->installConfig(['simple_oauth', 'simple_oauth_native_apps']);
+  }
+
+  /**
+   * Creates a public consumer with native app overrides.
+   *
+   * @param string $client_id
+   *   The client ID.
+   * @param array $overrides
+   *   Values for simple_oauth_native_apps.consumer.{id}.
+   *
+   * @return \Drupal\consumers\Entity\Consumer
+   *   The saved consumer.
+   */
+  private function createConsumer(string $client_id, array $overrides): Consumer {
+    $consumer = Consumer::create([
+      'label' => $client_id,
+      'client_id' => $client_id,
+      'confidential' => FALSE,
+      'third_party' => TRUE,
+      'redirect' => [
+        'http://127.0.0.1/callback',
+        'com.example.app://callback',
+      ],
+    ]);
+    $consumer->save();
+
+    $this->config('simple_oauth_native_apps.consumer.' . $consumer->id())
+      ->setData($overrides)
+      ->save();
+
+    return $consumer;
+  }
+
+  /**
+   * Dispatches an authorization request to the subscriber.
+   *
+   * @param string $client_id
+   *   The client ID.
+   * @param string $redirect_uri
+   *   The requested redirect URI.
+   *
+   * @return \Symfony\Component\HttpKernel\Event\RequestEvent
+   *   The handled event.
+   */
+  private function requestAuthorization(string $client_id, string $redirect_uri): RequestEvent {
+    $request = Request::create('/oauth/authorize', Request::METHOD_GET, [
+      'response_type' => 'code',
+      'client_id' => $client_id,
+      'redirect_uri' => $redirect_uri,
+    ]);
+    $event = new RequestEvent(
+      $this->createMock(HttpKernelInterface::class),
+      $request,
+      HttpKernelInterface::MAIN_REQUEST
+    );
+
+    $this->container->get('simple_oauth_native_apps.redirect_uri_policy_subscriber')->onAuthorizationRequest($event);
+
+    return $event;
+  }
+
+  /**
+   * Tests that "web" overrides disallow the corresponding redirect type.
+   *
+   * @covers \Drupal\simple_oauth_native_apps\Service\NativeClientDetector::isRedirectUriAllowed
+   */
+  public function testWebOverridesDisallowRedirects(): void {
+    $detector = $this->container->get('simple_oauth_native_apps.native_client_detector');
+    $consumer = $this->createConsumer('web_overrides', [
+      'allow_loopback_override' => 'web',
+      'allow_custom_schemes_override' => 'web',
+    ]);
+
+    $this->assertFalse($detector->isRedirectUriAllowed($consumer, 'http://127.0.0.1:8080/callback'));
+    $this->assertFalse($detector->isRedirectUriAllowed($consumer, 'http://[::1]:8080/callback'));
+    $this->assertFalse($detector->isRedirectUriAllowed($consumer, 'com.example.app://callback'));
+    $this->assertTrue($detector->isRedirectUriAllowed($consumer, 'https://app.example.com/callback'));
+  }
+
+  /**
+   * Tests "native", "auto-detect" and unset overrides.
+   *
+   * @covers \Drupal\simple_oauth_native_apps\Service\NativeClientDetector::isRedirectUriAllowed
+   */
+  public function testOtherOverridesAllowRedirects(): void {
+    $detector = $this->container->get('simple_oauth_native_apps.native_client_detector');
+
+    $native = $this->createConsumer('native_overrides', [
+      'allow_loopback_override' => 'native',
+      'allow_custom_schemes_override' => 'native',
+    ]);
+    $this->assertTrue($detector->isRedirectUriAllowed($native, 'http://127.0.0.1:8080/callback'));
+    $this->assertTrue($detector->isRedirectUriAllowed($native, 'com.example.app://callback'));
+
+    $unset = $this->createConsumer('unset_overrides', [
+      'allow_loopback_override' => '',
+    ]);
+    $this->assertTrue($detector->isRedirectUriAllowed($unset, 'http://127.0.0.1:8080/callback'));
+    $this->assertTrue($detector->isRedirectUriAllowed($unset, 'com.example.app://callback'));
+
+    // Auto-detect follows client type detection.
+    $auto = $this->createConsumer('auto_detect_overrides', [
+      'allow_loopback_override' => 'auto-detect',
+      'allow_custom_schemes_override' => 'auto-detect',
+    ]);
+    $is_native = $detector->isNativeClient($auto);
+    $this->assertTrue($is_native);
+    $this->assertSame($is_native, $detector->isRedirectUriAllowed($auto, 'http://127.0.0.1:8080/callback'));
+    $this->assertSame($is_native, $detector->isRedirectUriAllowed($auto, 'com.example.app://callback'));
+  }
+
+  /**
+   * Tests that disallowed redirect URIs are rejected without redirecting.
+   *
+   * @covers ::onAuthorizationRequest
+   */
+  public function testRejectDisallowedRedirect(): void {
+    $this->createConsumer('web_loopback', [
+      'allow_loopback_override' => 'web',
+    ]);
+
+    $event = $this->requestAuthorization('web_loopback', 'http://127.0.0.1:8080/callback');
+    $response = $event->getResponse();
+    $this->assertNotNull($response);
+    $this->assertEquals(400, $response->getStatusCode());
+    $this->assertFalse($response->isRedirection());
+    $this->assertEquals('invalid_request', Json::decode($response->getContent())['error']);
+
+    $this->assertNull($this->requestAuthorization('web_loopback', 'com.example.app://callback')->getResponse());
+    $this->assertNull($this->requestAuthorization('unknown_client', 'http://127.0.0.1:8080/callback')->getResponse());
+  }
+
+}
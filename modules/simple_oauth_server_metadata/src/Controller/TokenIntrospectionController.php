@@ -6,6 +6,7 @@ namespace Drupal\simple_oauth_server_metadata\Controller;
 
 use Drupal\Core\Controller\ControllerBase;
 use Drupal\simple_oauth\Entity\Oauth2TokenInterface;
+use Drupal\simple_oauth_server_metadata\Service\TokenLookupService;
 use Psr\Log\LoggerInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -39,10 +40,13 @@ final class TokenIntrospectionController extends ControllerBase {
    *   The request stack.
    * @param \Psr\Log\LoggerInterface $logger
    *   The logger service.
+   * @param \Drupal\simple_oauth_server_metadata\Service\TokenLookupService $tokenLookup
+   *   The token lookup service.
    */
   public function __construct(
     private readonly RequestStack $requestStack,
     private readonly LoggerInterface $logger,
+    private readonly TokenLookupService $tokenLookup,
   ) {}
 
   /**
@@ -52,6 +56,7 @@ final class TokenIntrospectionController extends ControllerBase {
     return new self(
       $container->get('request_stack'),
       $container->get('logger.channel.simple_oauth'),
+      $container->get('simple_oauth_server_metadata.token_lookup'),
     );
   }
 
@@ -70,7 +75,7 @@ final class TokenIntrospectionController extends ControllerBase {
    * - Authentication failures are caught by IntrospectionExceptionSubscriber.
    *
    * Request parameters (POST body):
-   * - token (required): The token value to introspect
+   * - token (required): The token to introspect, as issued to the client
    * - token_type_hint (optional): "access_token" or "refresh_token"
    *
    * Response format:
@@ -142,8 +147,8 @@ final class TokenIntrospectionController extends ControllerBase {
         );
       }
 
-      // Look up the token by its value.
-      $token = $this->findTokenByValue($tokenValue);
+      // Look up the token entity behind the issued token.
+      $token = $this->tokenLookup->findToken($tokenValue);
 
       // Return inactive if token doesn't exist.
       if (!$token) {
@@ -181,34 +186,6 @@ final class TokenIntrospectionController extends ControllerBase {
     }
   }
 
-  /**
-   * Finds a token entity by its token value.
-   *
-   * Searches for oauth2_token entities matching the provided token value.
-   * This supports both access tokens and refresh tokens stored in the same
-   * entity type.
-   *
-   * @param string $tokenValue
-   *   The token value to search for.
-   *
-   * @return \Drupal\simple_oauth\Entity\Oauth2TokenInterface|null
-   *   The token entity if found, NULL otherwise.
-   */
-  private function findTokenByValue(string $tokenValue): ?Oauth2TokenInterface {
-    $storage = $this->entityTypeManager()->getStorage('oauth2_token');
-
-    // Query for token by value field.
-    $results = $storage->loadByProperties(['value' => $tokenValue]);
-
-    if (empty($results)) {
-      return NULL;
-    }
-
-    // Return the first matching token.
-    $token = reset($results);
-    return $token instanceof Oauth2TokenInterface ? $token : NULL;
-  }
-
   /**
    * Checks if the current user is authorized to introspect the token.
    *
@@ -0,0 +1,164 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\simple_oauth_server_metadata\Service;
+
+use Defuse\Crypto\Crypto;
+use Defuse\Crypto\Exception\CryptoException;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Site\Settings;
+use Drupal\simple_oauth\Entity\Oauth2TokenInterface;
+
+/**
+ * Service for finding the token entity behind a token sent by a client.
+ *
+ * Clients hold tokens as they were issued, which is not what Simple OAuth
+ * stores: access tokens are signed JWTs whose "jti" claim is the stored
+ * value, and refresh tokens are encrypted payloads carrying the stored value.
+ * Both forms are resolved here, so the introspection (RFC 7662) and revocation
+ * (RFC 7009) endpoints accept the tokens clients actually have. Only tokens
+ * this site issued resolve: JWTs must carry a valid signature from the site's
+ * key pair and refresh tokens must decrypt with the site's encryption key.
+ */
+final class TokenLookupService {
+
+  /**
+   * Constructs a TokenLookupService.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
+   * @param \Drupal\Core\File\FileSystemInterface $fileSystem
+   *   The file system.
+   */
+  public function __construct(
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly ConfigFactoryInterface $configFactory,
+    private readonly FileSystemInterface $fileSystem,
+  ) {}
+
+  /**
+   * Finds the token entity for a token value.
+   *
+   * The value may be an access token or refresh token as issued, or the value
+   * stored on the token entity.
+   *
+   * @param string $tokenValue
+   *   The token value sent by the client.
+   *
+   * @return \Drupal\simple_oauth\Entity\Oauth2TokenInterface|null
+   *   The token entity if found, NULL otherwise.
+   *
+   * @throws \Drupal\Component\Plugin\Exception\InvalidPluginDefinitionException
+   * @throws \Drupal\Component\Plugin\Exception\PluginNotFoundException
+   */
+  public function findToken(string $tokenValue): ?Oauth2TokenInterface {
+    $identifier = $this->getAccessTokenIdentifier($tokenValue)
+      ?? $this->getRefreshTokenIdentifier($tokenValue)
+      ?? $tokenValue;
+
+    $storage = $this->entityTypeManager->getStorage('oauth2_token');
+    $tokens = $storage->loadByProperties(['value' => $identifier]);
+    $token = reset($tokens);
+
+    return $token instanceof Oauth2TokenInterface ? $token : NULL;
+  }
+
+  /**
+   * Reads the stored identifier from an access token JWT.
+   *
+   * @param string $tokenValue
+   *   The token value sent by the client.
+   *
+   * @return string|null
+   *   The "jti" claim, or NULL if the value is not a JWT signed by this site.
+   */
+  private function getAccessTokenIdentifier(string $tokenValue): ?string {
+    $segments = explode('.', $tokenValue);
+    if (count($segments) !== 3 || !$this->hasValidSignature($segments)) {
+      return NULL;
+    }
+
+    $payload = $this->base64UrlDecode($segments[1]);
+    $claims = $payload === NULL ? NULL : Json::decode($payload);
+
+    return is_string($claims['jti'] ?? NULL) ? $claims['jti'] : NULL;
+  }
+
+  /**
+   * Checks the RS256 signature of a JWT against the site's public key.
+   *
+   * Simple OAuth signs access tokens with the key pair configured in
+   * simple_oauth.settings.
+   *
+   * @param array $segments
+   *   The header, payload and signature segments of the JWT.
+   *
+   * @return bool
+   *   TRUE if the signature is valid, FALSE otherwise.
+   */
+  private function hasValidSignature(array $segments): bool {
+    [$header, $payload, $signature] = $segments;
+    $algorithm = Json::decode($this->base64UrlDecode($header) ?? '');
+    if (($algorithm['alg'] ?? NULL) !== 'RS256') {
+      return FALSE;
+    }
+
+    $path = $this->configFactory->get('simple_oauth.settings')->get('public_key');
+    $file = $path ? ($this->fileSystem->realpath($path) ?: $path) : NULL;
+    $key = $file && is_file($file) ? file_get_contents($file) : FALSE;
+    $signature = $this->base64UrlDecode($signature);
+    if ($key === FALSE || $signature === NULL) {
+      return FALSE;
+    }
+
+    return openssl_verify($header . '.' . $payload, $signature, $key, OPENSSL_ALGO_SHA256) === 1;
+  }
+
+  /**
+   * Decodes a base64url segment.
+   *
+   * @param string $segment
+   *   The encoded segment.
+   *
+   * @return string|null
+   *   The decoded value, or NULL if the segment is not base64url.
+   */
+  private function base64UrlDecode(string $segment): ?string {
+    $decoded = base64_decode(strtr($segment, '-_', '+/'), TRUE);
+    return $decoded === FALSE ? NULL : $decoded;
+  }
+
+  /**
+   * Reads the stored identifier from an encrypted refresh token.
+   *
+   * Simple OAuth encrypts refresh tokens with the first 32 characters of the
+   * site's hash salt.
+   *
+   * @param string $tokenValue
+   *   The token value sent by the client.
+   *
+   * @return string|null
+   *   The refresh token identifier, or NULL if the value does not decrypt.
+   */
+  private function getRefreshTokenIdentifier(string $tokenValue): ?string {
+    try {
+      $payload = Crypto::decryptWithPassword(
+        $tokenValue,
+        substr(Settings::getHashSalt(), 0, 32),
+      );
+    }
+    catch (CryptoException) {
+      return NULL;
+    }
+    $claims = Json::decode($payload);
+
+    return is_string($claims['refresh_token_id'] ?? NULL) ? $claims['refresh_token_id'] : NULL;
+  }
+
+}
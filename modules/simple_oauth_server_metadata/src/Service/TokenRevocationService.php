@@ -4,7 +4,6 @@ declare(strict_types=1);
 
 namespace Drupal\simple_oauth_server_metadata\Service;
 
-use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\simple_oauth\Entity\Oauth2TokenInterface;
 
 /**
@@ -19,11 +18,11 @@ final class TokenRevocationService {
   /**
    * Constructs a TokenRevocationService.
    *
-   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
-   *   The entity type manager.
+   * @param \Drupal\simple_oauth_server_metadata\Service\TokenLookupService $tokenLookup
+   *   The token lookup service.
    */
   public function __construct(
-    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly TokenLookupService $tokenLookup,
   ) {}
 
   /**
@@ -34,7 +33,7 @@ final class TokenRevocationService {
    * invalid to prevent token enumeration attacks.
    *
    * @param string $tokenValue
-   *   The token value to revoke.
+   *   The token to revoke, as issued to the client.
    * @param string $clientId
    *   The client ID that owns the token.
    * @param bool $bypassOwnership
@@ -53,7 +52,7 @@ final class TokenRevocationService {
       return TRUE;
     }
 
-    $token = $this->findToken($tokenValue);
+    $token = $this->tokenLookup->findToken($tokenValue);
 
     if (!$token) {
       return TRUE;
@@ -73,33 +72,6 @@ final class TokenRevocationService {
     return TRUE;
   }
 
-  /**
-   * Finds a token by its value.
-   *
-   * Searches both access tokens and refresh tokens (same entity type,
-   * different bundles).
-   *
-   * @param string $tokenValue
-   *   The token value to search for.
-   *
-   * @return \Drupal\simple_oauth\Entity\Oauth2TokenInterface|null
-   *   The token entity if found, NULL otherwise.
-   *
-   * @throws \Drupal\Component\Plugin\Exception\InvalidPluginDefinitionException
-   * @throws \Drupal\Component\Plugin\Exception\PluginNotFoundException
-   */
-  private function findToken(string $tokenValue): ?Oauth2TokenInterface {
-    $storage = $this->entityTypeManager->getStorage('oauth2_token');
-
-    $tokens = $storage->loadByProperties(['value' => $tokenValue]);
-
-    if (empty($tokens)) {
-      return NULL;
-    }
-
-    return reset($tokens);
-  }
-
   /**
    * Validates that the token belongs to the specified client.
    *
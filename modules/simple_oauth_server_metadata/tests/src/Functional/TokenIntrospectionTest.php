@@ -92,6 +92,13 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
    */
   private string $user1AuthToken;
 
+  /**
+   * Refresh token issued to user1 alongside the authenticating token.
+   *
+   * @var string
+   */
+  private string $user1IssuedRefreshToken;
+
   /**
    * Authenticating token for user2.
    *
@@ -170,8 +177,10 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
     // Obtain real JWT access tokens for authenticating introspection
     // requests. These must be valid JWTs issued by the OAuth server,
     // not manually created.
-    $this->user1AuthToken = $this->obtainAccessTokenForUser($this->user1);
-    $this->user2AuthToken = $this->obtainAccessTokenForUser($this->user2);
+    $user1Tokens = $this->obtainTokensForUser($this->user1);
+    $this->user1AuthToken = $user1Tokens['access_token'];
+    $this->user1IssuedRefreshToken = $user1Tokens['refresh_token'];
+    $this->user2AuthToken = $this->obtainTokensForUser($this->user2)['access_token'];
   }
 
   /**
@@ -194,13 +203,16 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
     // Phase 4: Request Parameter Tests.
     $this->doRequestParameterTests();
 
-    // Phase 5: Response Format Tests.
+    // Phase 5: Issued Token Tests.
+    $this->doIssuedTokenTests();
+
+    // Phase 6: Response Format Tests.
     $this->doResponseFormatTests();
 
-    // Phase 6: Integration Tests.
+    // Phase 7: Integration Tests.
     $this->doIntegrationTests();
 
-    // Phase 7: Security Tests.
+    // Phase 8: Security Tests.
     $this->doSecurityTests();
     $this->assertTrue(TRUE, 'All token introspection test scenarios completed successfully');
   }
@@ -379,6 +391,37 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
     $this->assertTrue($json['active'], 'Refresh token can be introspected without hint');
   }
 
+  /**
+   * Tests introspection of tokens exactly as the token endpoint issued them.
+   *
+   * Validates that:
+   * - An access token JWT resolves to its stored token.
+   * - An encrypted refresh token resolves to its stored token.
+   */
+  private function doIssuedTokenTests(): void {
+    // Test 1: The issued access token JWT is active.
+    $response = $this->postIntrospectionRequest(
+      ['token' => $this->user1AuthToken],
+      ['Authorization' => 'Bearer ' . $this->user1AuthToken]
+    );
+    $this->assertEquals(200, $response->getStatusCode(), 'Issued access token can be introspected');
+    $json = Json::decode($response->getBody());
+    $this->assertTrue($json['active'], 'Issued access token returns active: true');
+    $this->assertEquals($this->user1->getAccountName(), $json['username'], 'Issued access token resolves to its owner');
+
+    // Test 2: The issued refresh token is active.
+    $response = $this->postIntrospectionRequest(
+      [
+        'token' => $this->user1IssuedRefreshToken,
+        'token_type_hint' => 'refresh_token',
+      ],
+      ['Authorization' => 'Bearer ' . $this->user1AuthToken]
+    );
+    $json = Json::decode($response->getBody());
+    $this->assertTrue($json['active'], 'Issued refresh token returns active: true');
+    $this->assertEquals($this->user1->getAccountName(), $json['username'], 'Issued refresh token resolves to its owner');
+  }
+
   /**
    * Tests response format compliance with RFC 7662.
    *
@@ -502,7 +545,7 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
   }
 
   /**
-   * Obtains a valid JWT access token for a user via authorization code flow.
+   * Obtains valid tokens for a user via authorization code flow.
    *
    * Goes through the full OAuth authorization code flow to obtain a real JWT
    * token from the OAuth server. This ensures the token can be validated by
@@ -512,13 +555,13 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
    * @param \Drupal\user\UserInterface $user
    *   The user to obtain a token for.
    *
-   * @return string
-   *   The JWT access token string.
+   * @return array
+   *   The token response, with the JWT access token and the refresh token.
    *
    * @throws \Exception
    *   If token acquisition fails.
    */
-  private function obtainAccessTokenForUser($user): string {
+  private function obtainTokensForUser($user): array {
     // Log in the user.
     $this->drupalLogin($user);
 
@@ -632,7 +675,7 @@ final class TokenIntrospectionTest extends TokenBearerFunctionalTestBase {
     // Log out the user to clean up for next token request.
     $this->drupalLogout();
 
-    return $parsedResponse['access_token'];
+    return $parsedResponse;
   }
 
   /**
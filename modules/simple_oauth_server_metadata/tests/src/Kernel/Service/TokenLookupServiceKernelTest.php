@@ -0,0 +1,168 @@
+<?php
+
+namespace Drupal\Tests\simple_oauth_server_metadata\Kernel\Service;
+
+use Defuse\Crypto\Crypto;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Site\Settings;
+use Drupal\KernelTests\KernelTestBase;
+use Drupal\simple_oauth\Entity\Oauth2Token;
+use Drupal\Tests\simple_oauth\Functional\SimpleOauthTestTrait;
+use PHPUnit\Framework\Attributes\Group;
+
+/**
+ * Kernel tests for the TokenLookupService.
+ *
+ * @coversDefaultClass \Drupal\simple_oauth_server_metadata\Service\TokenLookupService
+ */
+#[Group('simple_oauth_server_metadata')]
+class TokenLookupServiceKernelTest extends KernelTestBase {
+
+  use SimpleOauthTestTrait;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'user',
+    'system',
+    'simple_oauth',
+    'simple_oauth_server_metadata',
+    'consumers',
+    'serialization',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->installEntitySchema('user');
+    $this->installEntitySchema('consumer');
+    $this->installEntitySchema('oauth2_token');
+    $this->installConfig(['simple_oauth']);
+    $this->setUpKeys();
+  }
+
+  /**
+   * Creates a stored token.
+   *
+   * @param string $bundle
+   *   The token bundle.
+   * @param string $value
+   *   The stored token value.
+   *
+   * @return \Drupal\simple_oauth\Entity\Oauth2Token
+   *   The saved token.
+   */
+  private function createToken(string $bundle, string $value): Oauth2Token {
+    $token = Oauth2Token::create([
+      'bundle' => $bundle,
+      'value' => $value,
+      'scopes' => [],
+      'expire' => time() + 3600,
+      'status' => TRUE,
+    ]);
+    $token->save();
+    return $token;
+  }
+
+  /**
+   * Encodes a value as base64url, as used in JWTs.
+   *
+   * @param string $value
+   *   The value to encode.
+   *
+   * @return string
+   *   The encoded value without padding.
+   */
+  private function base64UrlEncode(string $value): string {
+    return rtrim(strtr(base64_encode($value), '+/', '-_'), '=');
+  }
+
+  /**
+   * Builds an RS256 JWT for a stored token.
+   *
+   * @param \Drupal\simple_oauth\Entity\Oauth2Token $token
+   *   The stored token.
+   * @param string|null $privateKey
+   *   PEM private key to sign with, or NULL for the site's key.
+   *
+   * @return string
+   *   The JWT.
+   */
+  private function createJwt(Oauth2Token $token, ?string $privateKey = NULL): string {
+    $privateKey ??= file_get_contents($this->config('simple_oauth.settings')->get('private_key'));
+    $signingInput = implode('.', [
+      $this->base64UrlEncode(Json::encode(['typ' => 'JWT', 'alg' => 'RS256'])),
+      $this->base64UrlEncode(Json::encode(['jti' => $token->get('value')->value])),
+    ]);
+    openssl_sign($signingInput, $signature, $privateKey, OPENSSL_ALGO_SHA256);
+
+    return $signingInput . '.' . $this->base64UrlEncode($signature);
+  }
+
+  /**
+   * Tests that access tokens are found by the JWT issued to the client.
+   *
+   * @covers ::findToken
+   */
+  public function testFindAccessTokenByJwt() {
+    $token = $this->createToken('access_token', $this->randomMachineName(40));
+
+    $found = $this->container->get('simple_oauth_server_metadata.token_lookup')->findToken($this->createJwt($token));
+
+    $this->assertNotNull($found);
+    $this->assertEquals($token->id(), $found->id());
+  }
+
+  /**
+   * Tests that JWTs not signed by the site do not resolve.
+   *
+   * @covers ::findToken
+   */
+  public function testIgnoreForeignJwt() {
+    $token = $this->createToken('access_token', $this->randomMachineName(40));
+    openssl_pkey_export(openssl_pkey_new(['private_key_bits' => 2048]), $foreignKey);
+    $service = $this->container->get('simple_oauth_server_metadata.token_lookup');
+
+    $this->assertNull($service->findToken($this->createJwt($token, $foreignKey)));
+
+    [$header, $payload] = explode('.', $this->createJwt($token));
+    $this->assertNull($service->findToken($header . '.' . $payload . '.' . $this->base64UrlEncode('signature')));
+  }
+
+  /**
+   * Tests that refresh tokens are found by the encrypted value issued.
+   *
+   * @covers ::findToken
+   */
+  public function testFindRefreshTokenByEncryptedValue() {
+    $token = $this->createToken('refresh_token', $this->randomMachineName(40));
+    $issued = Crypto::encryptWithPassword(
+      Json::encode(['refresh_token_id' => $token->get('value')->value]),
+      substr(Settings::getHashSalt(), 0, 32),
+    );
+
+    $found = $this->container->get('simple_oauth_server_metadata.token_lookup')->findToken($issued);
+
+    $this->assertNotNull($found);
+    $this->assertEquals($token->id(), $found->id());
+  }
+
+  /**
+   * Tests that stored values are still found, and unknown values are not.
+   *
+   * @covers ::findToken
+   */
+  public function testFindTokenByStoredValue() {
+    $token = $this->createToken('access_token', $this->randomMachineName(40));
+    $service = $this->container->get('simple_oauth_server_metadata.token_lookup');
+
+    $this->assertEquals($token->id(), $service->findToken($token->get('value')->value)->id());
+    $this->assertNull($service->findToken('unknown_token_value'));
+    $this->assertNull($service->findToken('not.a.jwt'));
+  }
+
+}
@@ -1,20 +1,99 @@
 // @ts-check
 /* eslint-disable import/no-extraneous-dependencies */
 const { defineConfig, devices } = require('@playwright/test');
+const {
+  AUTH_ROLES,
+  getAuthTag,
+  getStorageStatePath,
+} = require('./tests/e2e/utils/auth-state');
+const { getFixtureSiteUrl } = require('./tests/e2e/utils/fixture-site');
+const {
+  MODULE_MATRIX,
+  isModuleMatrixEnabled,
+} = require('./tests/e2e/utils/module-matrix');
+
+/* Reachability checks that run before every other project */
+const SMOKE_SPEC = /smoke\.spec\.js/;
+
+/* Tests tagged for a role project, e.g. @as-admin, only run in that project */
+const ROLE_TAGS = new RegExp(
+  Object.keys(AUTH_ROLES)
+    .map(role => getAuthTag(role))
+    .join('|'),
+);
+
+/**
+ * Projects running the suite: one without a saved session and one per role.
+ *
+ * @param {string} suffix - Appended to each project name
+ * @param {Object} options - Extra project options, e.g. dependencies
+ * @return {Array} Project definitions
+ */
+function suiteProjects(suffix = '', options = {}) {
+  return [
+    {
+      name: `chromium${suffix}`,
+      use: { ...devices['Desktop Chrome'] },
+      grepInvert: ROLE_TAGS,
+      testIgnore: SMOKE_SPEC,
+      ...options,
+    },
+    /* One project per saved login session, see tests/e2e/utils/auth-state.js */
+    ...Object.keys(AUTH_ROLES).map(role => ({
+      name: `chromium-${role}${suffix}`,
+      use: {
+        ...devices['Desktop Chrome'],
+        storageState: getStorageStatePath(role),
+      },
+      grep: new RegExp(getAuthTag(role)),
+      testIgnore: SMOKE_SPEC,
+      ...options,
+    })),
+  ];
+}
+
+/**
+ * Module matrix projects, see tests/e2e/utils/module-matrix.js.
+ *
+ * Each combination gets a setup project installing its submodules and the
+ * suite projects depending on it. Combinations do not depend on each other,
+ * so each one is reported on its own; the fixtures switch the site between
+ * them.
+ *
+ * @return {Array} Project definitions
+ */
+function moduleMatrixProjects() {
+  return Object.entries(MODULE_MATRIX).flatMap(([name, modules]) => {
+    const setup = `modules-${name}`;
+    const metadata = { moduleCombination: { name, modules } };
+    return [
+      {
+        name: setup,
+        testMatch: /module-matrix\.setup\.js/,
+        dependencies: ['smoke'],
+        metadata,
+      },
+      ...suiteProjects(`-${setup}`, { dependencies: [setup], metadata }),
+    ];
+  });
+}
 
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 module.exports = defineConfig({
   testDir: './tests/e2e',
+  /* Start and stop shared test infrastructure such as the mock resource server */
+  globalSetup: require.resolve('./tests/e2e/global-setup'),
+  globalTeardown: require.resolve('./tests/e2e/global-teardown'),
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
-  /* Opt out of parallel tests on CI. */
-  workers: process.env.CI ? 1 : undefined,
+  /* Opt out of parallel tests on CI and in the module matrix, whose combinations share the site. */
+  workers: process.env.CI || isModuleMatrixEnabled() ? 1 : undefined,
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: [
     ['html'],
@@ -51,16 +130,21 @@ module.exports = defineConfig({
 
   /* Configure projects for major browsers */
   projects: [
+    /* Fails fast when the Drupal site under test is not reachable */
     {
-      name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
+      name: 'smoke',
+      testMatch: SMOKE_SPEC,
     },
+    /* With E2E_MODULE_MATRIX set, the suite runs once per module combination */
+    ...(isModuleMatrixEnabled()
+      ? moduleMatrixProjects()
+      : suiteProjects('', { dependencies: ['smoke'] })),
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Serve the static fixture site used by the infrastructure checks */
+  webServer: {
+    command: 'node tests/e2e/utils/fixture-site.js',
+    url: getFixtureSiteUrl(),
+    reuseExistingServer: !process.env.CI,
+  },
 });
@@ -0,0 +1,33 @@
+/**
+ * @file
+ * Saved session fixtures.
+ *
+ * Tests running in a role project of playwright.config.js start logged in
+ * through that role's storageState. Sessions can expire or be wiped by a
+ * database restore, so the state is checked before each test and the role is
+ * logged in again when needed.
+ */
+
+const { test: base, expect } = require('./database');
+const {
+  getRoleForStorageState,
+  refreshStorageState,
+} = require('../utils/auth-state');
+
+const test = base.extend({
+  storageState: async ({ storageState, browser, baseURL }, use) => {
+    const role =
+      typeof storageState === 'string'
+        ? getRoleForStorageState(storageState)
+        : null;
+    if (role) {
+      await refreshStorageState(browser, baseURL, role);
+    }
+    await use(storageState);
+  },
+});
+
+module.exports = {
+  test,
+  expect,
+};
@@ -0,0 +1,147 @@
+/**
+ * @file
+ * Database isolation fixtures.
+ *
+ * Restores the snapshot taken in globalSetup so state left by one spec, such
+ * as consumers, tokens or PKCE and device flow settings, cannot leak into the
+ * next. Set E2E_DB_SNAPSHOT=off to skip snapshots entirely.
+ *
+ * Restores and settings changes take the lock in utils/database-lock.js
+ * exclusively, so they wait for tests running in other workers and those
+ * workers start no test until they are done. The lighter siteConfig fixture
+ * undoes config changed during one test.
+ * Builds on the response and watchdog fixtures, so server-side errors are
+ * captured too.
+ */
+
+const { test: base, expect } = require('./responses');
+const {
+  BASELINE_SNAPSHOT,
+  createDatabaseSnapshot,
+  restoreDatabaseSnapshot,
+} = require('../utils/database-snapshot');
+const {
+  lockDatabaseExclusive,
+  unlockDatabaseExclusive,
+} = require('../utils/database-lock');
+const { trackConfigChanges } = require('../utils/config-helper');
+const {
+  getModuleCombination,
+  getCombinationSnapshot,
+} = require('../utils/module-matrix');
+
+/**
+ * Whether snapshots are disabled for this run.
+ *
+ * @return {boolean} Whether E2E_DB_SNAPSHOT is "off"
+ */
+function snapshotsDisabled() {
+  return process.env.E2E_DB_SNAPSHOT === 'off';
+}
+
+/**
+ * Get the snapshot a project's tests start from.
+ *
+ * In a module matrix project this is the snapshot of the project's module
+ * combination, otherwise the baseline.
+ *
+ * @param {Object} project - Playwright project
+ * @return {string} Snapshot name
+ */
+function getBaselineSnapshot(project) {
+  const combination = getModuleCombination(project);
+  return combination
+    ? getCombinationSnapshot(combination.name)
+    : BASELINE_SNAPSHOT;
+}
+
+/**
+ * Test type providing `databaseSnapshot` and `siteConfig` fixtures.
+ *
+ * databaseSnapshot exposes create(name) and restore(name) for specs that need
+ * a clean database on demand, e.g. before a test that uninstalls a module.
+ * siteConfig is a trackConfigChanges() recorder restored after the test; the
+ * lock is held exclusively meanwhile, as the settings are shared by all
+ * workers.
+ */
+const test = base.extend({
+  databaseSnapshot: [
+    // eslint-disable-next-line no-empty-pattern
+    async ({}, use) => {
+      await use({
+        create: createDatabaseSnapshot,
+        restore: restoreDatabaseSnapshot,
+      });
+    },
+    { scope: 'worker' },
+  ],
+
+  // eslint-disable-next-line no-empty-pattern
+  siteConfig: async ({}, use) => {
+    const siteConfig = trackConfigChanges();
+    await lockDatabaseExclusive();
+    await use(siteConfig);
+    await siteConfig.restore();
+    unlockDatabaseExclusive();
+  },
+});
+
+/**
+ * Hold the database lock exclusively for the tests of the calling file.
+ *
+ * For specs that change settings every other spec relies on: no test of
+ * another worker runs until the file is done.
+ *
+ * @param {Object} testType - Playwright test type of the spec
+ */
+function lockDatabaseForFile(testType = test) {
+  testType.beforeAll(async () => {
+    await lockDatabaseExclusive();
+  });
+
+  testType.afterAll(() => {
+    unlockDatabaseExclusive();
+  });
+}
+
+/**
+ * Restore a snapshot before the tests of the calling file.
+ *
+ * Call at the top level of a spec, before any describe, so the restore runs
+ * ahead of the file's own beforeAll hooks. A describe whose beforeAll may
+ * skip all of its tests calls it after that hook instead. The lock is held exclusively from
+ * before the restore until the file is done, as with lockDatabaseForFile(),
+ * so the file's tests run on the restored state and may change shared
+ * settings whatever the number of workers.
+ *
+ * In a module matrix project, the baseline is replaced by the snapshot of
+ * the project's module combination.
+ *
+ * @param {Object} testType - Playwright test type of the spec
+ * @param {string} name - Snapshot name
+ */
+function restoreDatabaseForFile(testType = test, name = BASELINE_SNAPSHOT) {
+  // eslint-disable-next-line no-empty-pattern
+  testType.beforeAll(async ({}, testInfo) => {
+    await lockDatabaseExclusive();
+    if (snapshotsDisabled()) {
+      return;
+    }
+    await restoreDatabaseSnapshot(
+      name === BASELINE_SNAPSHOT ? getBaselineSnapshot(testInfo.project) : name,
+    );
+  });
+
+  testType.afterAll(() => {
+    unlockDatabaseExclusive();
+  });
+}
+
+module.exports = {
+  test,
+  expect,
+  snapshotsDisabled,
+  getBaselineSnapshot,
+  lockDatabaseForFile,
+  restoreDatabaseForFile,
+};
@@ -0,0 +1,32 @@
+/**
+ * @file
+ * Database lock fixture.
+ *
+ * Runs around every test of specs using these fixtures (directly or through
+ * watchdog, responses, database, auth or oauth) and holds the cross-worker
+ * database lock shared while the test runs, so no other worker restores a
+ * snapshot or changes shared settings under it. See utils/database-lock.js.
+ */
+
+const { test: base, expect } = require('./modules');
+const {
+  lockDatabaseShared,
+  unlockDatabaseShared,
+} = require('../utils/database-lock');
+
+const test = base.extend({
+  databaseLock: [
+    // eslint-disable-next-line no-empty-pattern
+    async ({}, use) => {
+      await lockDatabaseShared();
+      await use();
+      unlockDatabaseShared();
+    },
+    { auto: true },
+  ],
+});
+
+module.exports = {
+  test,
+  expect,
+};
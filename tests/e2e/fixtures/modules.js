@@ -0,0 +1,35 @@
+/**
+ * @file
+ * Module combination fixture.
+ *
+ * Base of the fixture chain (modules, lock, watchdog, responses, database,
+ * auth, oauth). In a module matrix project, each worker first makes sure the
+ * site has exactly the submodules of the project's combination installed, so
+ * a combination is never tested against the modules another one left behind.
+ * Outside the matrix it does nothing.
+ */
+
+const { test: base, expect } = require('@playwright/test');
+const {
+  getModuleCombination,
+  ensureModuleCombination,
+} = require('../utils/module-matrix');
+
+const test = base.extend({
+  moduleCombination: [
+    // eslint-disable-next-line no-empty-pattern
+    async ({}, use, workerInfo) => {
+      const combination = getModuleCombination(workerInfo.project);
+      if (combination) {
+        await ensureModuleCombination(combination.modules);
+      }
+      await use(combination);
+    },
+    { scope: 'worker', auto: true },
+  ],
+});
+
+module.exports = {
+  test,
+  expect,
+};
@@ -0,0 +1,110 @@
+/**
+ * @file
+ * OAuth fixtures for E2E specs.
+ *
+ * Fixtures are created on first use and torn down by Playwright after the
+ * test, whether it passed or not:
+ * - adminUser: a unique administrator account, deleted afterwards
+ * - adminPage: the test's page, logged in as adminUser
+ * - createOauthClient: creates consumers from options known only while the
+ *   test runs, deleting each of them afterwards
+ * - oauthClient: a consumer built from the oauthClientOptions option
+ * - oauthTokens: tokens issued to oauthClient for adminUser through the
+ *   authorization code flow, using the oauthTokenOptions option
+ *
+ * With the freshSite option set, the project's baseline database snapshot is
+ * restored before the test, ahead of creating adminUser or any consumer, and
+ * the database lock (utils/database-lock.js) is held exclusively until the
+ * test ends.
+ *
+ * Usage:
+ *   test.use({ oauthClientOptions: OAUTH_CONSUMERS.publicSpa });
+ *   test('...', async ({ oauthTokens, request }) => { ... });
+ */
+
+const { test: base, expect } = require('./auth');
+const { snapshotsDisabled, getBaselineSnapshot } = require('./database');
+const {
+  lockDatabaseExclusive,
+  unlockDatabaseExclusive,
+} = require('../utils/database-lock');
+const {
+  createUniqueAdminUser,
+  loginUser,
+  cleanupTestUser,
+} = require('../utils/test-setup');
+const { createConsumer, deleteConsumer } = require('../utils/consumer-helper');
+const { runAuthorizationCodeFlow } = require('../utils/oauth-flow-helper');
+
+const test = base.extend({
+  oauthClientOptions: [{}, { option: true }],
+  oauthTokenOptions: [{}, { option: true }],
+  freshSite: [false, { option: true }],
+
+  restoredSite: async ({ freshSite, databaseSnapshot }, use, testInfo) => {
+    if (!freshSite) {
+      await use();
+      return;
+    }
+    testInfo.skip(snapshotsDisabled(), 'Database snapshots are disabled');
+    await lockDatabaseExclusive();
+    try {
+      await databaseSnapshot.restore(getBaselineSnapshot(testInfo.project));
+    } catch (error) {
+      unlockDatabaseExclusive();
+      throw error;
+    }
+    await use();
+    unlockDatabaseExclusive();
+  },
+
+  adminUser: async ({ restoredSite }, use, testInfo) => {
+    const user = await createUniqueAdminUser(`w${testInfo.parallelIndex}`);
+    await use(user);
+    await cleanupTestUser(user.username);
+  },
+
+  adminPage: async ({ page, adminUser }, use) => {
+    await page.goto('/user/login');
+    await loginUser(page, adminUser);
+    await use(page);
+  },
+
+  createOauthClient: async ({ restoredSite }, use) => {
+    const clients = [];
+    await use(async options => {
+      const client = await createConsumer(options);
+      clients.push(client);
+      return client;
+    });
+    await Promise.all(clients.map(client => deleteConsumer(client.clientId)));
+  },
+
+  oauthClient: async ({ oauthClientOptions, createOauthClient }, use) => {
+    await use(await createOauthClient(oauthClientOptions));
+  },
+
+  oauthTokens: async (
+    { adminPage, adminUser, oauthClient, oauthTokenOptions },
+    use,
+  ) => {
+    const { token } = await runAuthorizationCodeFlow(adminPage, {
+      ...oauthClient,
+      ...oauthTokenOptions,
+      user: adminUser,
+    });
+    if (token.status !== 200) {
+      throw new Error(
+        `Token request failed with HTTP ${token.status}: ${JSON.stringify(
+          token.body,
+        )}`,
+      );
+    }
+    await use(token.body);
+  },
+});
+
+module.exports = {
+  test,
+  expect,
+};
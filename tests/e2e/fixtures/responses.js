@@ -0,0 +1,52 @@
+/**
+ * @file
+ * Response error capture fixture.
+ *
+ * Wraps the `page` fixture so every HTML and JSON response of the test's
+ * browser context is scanned for Drupal and PHP error output, and 5xx
+ * responses from OAuth routes are flagged. Tests that never open a page are
+ * not affected. Builds on the watchdog fixtures.
+ *
+ * Options, per spec with test.use() or per run through E2E_RESPONSE_CHECK:
+ * - responseCheck: "fail" (default), "report" to only attach, or "off"
+ * - responseAllowed: strings or RegExps matched against the URL and reason
+ */
+
+const { test: base, expect } = require('./watchdog');
+const {
+  setupResponseErrorCapture,
+  formatResponseErrors,
+  assertNoResponseErrors,
+} = require('../utils/response-helper');
+
+const test = base.extend({
+  responseCheck: [process.env.E2E_RESPONSE_CHECK || 'fail', { option: true }],
+  responseAllowed: [[], { option: true }],
+
+  page: async ({ page, responseCheck, responseAllowed }, use, testInfo) => {
+    if (responseCheck === 'off') {
+      await use(page);
+      return;
+    }
+
+    const getResponseErrors = setupResponseErrorCapture(page.context());
+    await use(page);
+
+    const errors = await getResponseErrors();
+    if (!errors.length) {
+      return;
+    }
+    await testInfo.attach('response-errors', {
+      body: formatResponseErrors(errors),
+      contentType: 'text/plain',
+    });
+    if (responseCheck === 'fail') {
+      assertNoResponseErrors(errors, responseAllowed);
+    }
+  },
+});
+
+module.exports = {
+  test,
+  expect,
+};
@@ -0,0 +1,119 @@
+/**
+ * @file
+ * Watchdog capture fixture.
+ *
+ * Runs around every test of specs using these fixtures (directly or through
+ * database, auth or oauth). PHP and Drupal errors logged while the test ran
+ * are attached to its report; critical ones fail the test.
+ *
+ * Options, per spec with test.use() or per run through E2E_WATCHDOG:
+ * - watchdogCheck: "fail" (default), "report" to only attach, or "off"
+ * - watchdogAllowed: strings or RegExps of messages to ignore
+ *
+ * Critical entries only fail the test when Playwright runs a single worker.
+ * Other workers' tests run at the same time under the shared database lock,
+ * so with several workers entries cannot be tied to one test and are only
+ * attached.
+ */
+
+const { test: base, expect } = require('./lock');
+const {
+  getLastWatchdogId,
+  getWatchdogEntriesSince,
+  classifyWatchdogEntry,
+  formatWatchdogReport,
+} = require('../utils/watchdog-helper');
+
+let unavailableWarned = false;
+
+/**
+ * Warn once per worker that watchdog capture is not possible.
+ *
+ * @param {Error} error - Error reading the log
+ */
+function warnUnavailable(error) {
+  if (!unavailableWarned) {
+    unavailableWarned = true;
+    console.warn(`Watchdog capture disabled: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a message matches an allowed pattern.
+ *
+ * @param {string} message - Watchdog message
+ * @param {Array} allowed - Strings or RegExps
+ * @return {boolean} Whether the message is allowed
+ */
+function isAllowed(message, allowed) {
+  return allowed.some(pattern =>
+    pattern instanceof RegExp
+      ? pattern.test(message)
+      : String(message).includes(pattern),
+  );
+}
+
+const test = base.extend({
+  watchdogCheck: [process.env.E2E_WATCHDOG || 'fail', { option: true }],
+  watchdogAllowed: [[], { option: true }],
+
+  watchdogCapture: [
+    async ({ watchdogCheck, watchdogAllowed }, use, testInfo) => {
+      if (watchdogCheck === 'off' || unavailableWarned) {
+        await use();
+        return;
+      }
+
+      let since;
+      try {
+        since = await getLastWatchdogId();
+      } catch (error) {
+        warnUnavailable(error);
+        await use();
+        return;
+      }
+
+      await use();
+
+      let entries;
+      try {
+        entries = await getWatchdogEntriesSince(since);
+      } catch (error) {
+        warnUnavailable(error);
+        return;
+      }
+      const errors = entries
+        .map(classifyWatchdogEntry)
+        .filter(
+          entry => entry.category && !isAllowed(entry.message, watchdogAllowed),
+        );
+      if (!errors.length) {
+        return;
+      }
+
+      await testInfo.attach('watchdog', {
+        body: JSON.stringify(errors, null, 2),
+        contentType: 'application/json',
+      });
+
+      const critical = errors.filter(entry => entry.critical);
+      if (
+        critical.length &&
+        watchdogCheck === 'fail' &&
+        testInfo.config.workers === 1
+      ) {
+        throw new Error(
+          `Critical errors logged to watchdog during the test:\n${formatWatchdogReport(
+            critical,
+          )}`,
+        );
+      }
+    },
+    { auto: true },
+  ],
+});
+
+module.exports = {
+  test,
+  expect,
+};
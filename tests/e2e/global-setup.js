@@ -0,0 +1,111 @@
+/**
+ * @file
+ * Playwright global setup.
+ *
+ * Checks the environment first and aborts with one summary when it is not
+ * usable (see utils/preflight.js). Then reports the Drupal site under test,
+ * saves the login sessions of the role projects, takes the baseline database
+ * snapshot restored by the database fixtures, then starts the mock protected
+ * resource server shared by all workers and publishes its URL in
+ * MOCK_RESOURCE_SERVER_URL.
+ *
+ * Sessions are saved before the snapshot so restores keep the role users.
+ */
+
+const { chromium } = require('@playwright/test');
+const { startMockResourceServer } = require('./utils/mock-resource-server');
+const { getDrushTarget, describeDrushTarget } = require('./utils/drupal-site');
+const { createDatabaseSnapshot } = require('./utils/database-snapshot');
+const { snapshotsDisabled } = require('./fixtures/database');
+const { prepareStorageStates } = require('./utils/auth-state');
+const {
+  getPreflightMode,
+  runPreflightChecks,
+  hasPreflightFailures,
+  formatPreflightReport,
+} = require('./utils/preflight');
+
+/**
+ * Run the pre-flight checks, throwing when the run should stop.
+ *
+ * @param {string} baseURL - Drupal base URL
+ */
+async function checkEnvironment(baseURL) {
+  const mode = getPreflightMode();
+  if (mode === 'off') {
+    return;
+  }
+  const checks = await runPreflightChecks(baseURL);
+  const report = formatPreflightReport(checks);
+  if (hasPreflightFailures(checks) && mode === 'fail') {
+    throw new Error(
+      `${report}\n\nFix the problems above, or set E2E_PREFLIGHT=warn to run anyway.`,
+    );
+  }
+  console.log(report);
+}
+
+/**
+ * Log in the role users once and save their sessions.
+ *
+ * @param {string} baseURL - Drupal base URL
+ */
+async function saveRoleSessions(baseURL) {
+  let browser;
+  try {
+    browser = await chromium.launch();
+    await prepareStorageStates(browser, baseURL);
+  } catch (error) {
+    // Role projects log in again through the auth fixture.
+    console.warn(`Could not save login sessions: ${error.message}`);
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Take the baseline snapshot, disabling restores if that fails.
+ */
+async function takeBaselineSnapshot() {
+  if (snapshotsDisabled()) {
+    return;
+  }
+  try {
+    const snapshot = await createDatabaseSnapshot();
+    console.log(`Database snapshot saved to ${snapshot}`);
+  } catch (error) {
+    console.warn(`Database snapshots disabled: ${error.message}`);
+    process.env.E2E_DB_SNAPSHOT = 'off';
+  }
+}
+
+/**
+ * Prepare shared test infrastructure.
+ *
+ * @param {Object} config - Playwright FullConfig
+ */
+module.exports = async function globalSetup(config) {
+  const { baseURL } = config.projects[0].use;
+
+  await checkEnvironment(baseURL);
+
+  try {
+    console.log(describeDrushTarget(getDrushTarget()));
+    await saveRoleSessions(baseURL);
+    await takeBaselineSnapshot();
+  } catch (error) {
+    // Specs that need Drush fail with the same message.
+    console.warn(error.message);
+    process.env.E2E_DB_SNAPSHOT = 'off';
+  }
+
+  process.env.MOCK_RESOURCE_SERVER_URL = await startMockResourceServer({
+    authorizationServer: baseURL,
+    port: Number(process.env.MOCK_RESOURCE_SERVER_PORT || 0),
+  });
+  console.log(
+    `Mock resource server listening on ${process.env.MOCK_RESOURCE_SERVER_URL}`,
+  );
+};
@@ -0,0 +1,15 @@
+/**
+ * @file
+ * Playwright global teardown.
+ *
+ * Stops the infrastructure started by global-setup.js.
+ */
+
+const { stopMockResourceServer } = require('./utils/mock-resource-server');
+
+/**
+ * Release shared test infrastructure.
+ */
+module.exports = async function globalTeardown() {
+  await stopMockResourceServer();
+};
@@ -0,0 +1,35 @@
+const { test: setup, expect } = require('@playwright/test');
+const { snapshotsDisabled } = require('./fixtures/database');
+const { createDatabaseSnapshot } = require('./utils/database-snapshot');
+const { getInstalledModules } = require('./utils/drush-helper');
+const { OAUTH_SUBMODULES } = require('./utils/constants');
+const {
+  getModuleCombination,
+  getCombinationSnapshot,
+  applyModuleCombination,
+} = require('./utils/module-matrix');
+
+/**
+ * Module matrix setup.
+ *
+ * Runs in the setup project of each combination, see utils/module-matrix.js.
+ * Installs the combination's submodules, uninstalls the others and snapshots
+ * the result, which database restores in the combination's projects return
+ * to instead of the baseline.
+ */
+
+// eslint-disable-next-line no-empty-pattern
+setup('install the module combination', async ({}, testInfo) => {
+  const combination = getModuleCombination(testInfo.project);
+  expect(combination, 'project has no module combination').toBeTruthy();
+
+  await applyModuleCombination(combination.modules);
+
+  expect(await getInstalledModules(OAUTH_SUBMODULES)).toEqual(
+    OAUTH_SUBMODULES.filter(module => combination.modules.includes(module)),
+  );
+
+  if (!snapshotsDisabled()) {
+    await createDatabaseSnapshot(getCombinationSnapshot(combination.name));
+  }
+});
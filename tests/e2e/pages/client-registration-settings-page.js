@@ -0,0 +1,39 @@
+/**
+ * @file
+ * Page object for the client registration settings form
+ * (ClientRegistrationSettingsForm).
+ */
+
+const { SettingsFormPage } = require('./settings-form-page');
+
+class ClientRegistrationSettingsPage extends SettingsFormPage {
+  /**
+   * @param {Object} page - Playwright page
+   */
+  constructor(page) {
+    super(
+      page,
+      '/admin/config/services/simple-oauth/oauth-21/client-registration',
+    );
+  }
+
+  /**
+   * Select the grant types given to clients that register without any.
+   *
+   * @param {Array} grantTypes - Grant plugin IDs, e.g. "authorization_code"
+   */
+  async setDefaultGrantTypes(grantTypes) {
+    await this.setCheckboxes('default_grant_types', grantTypes);
+  }
+
+  /**
+   * @return {Array} Selected grant plugin IDs
+   */
+  async getDefaultGrantTypes() {
+    return this.getCheckboxes('default_grant_types');
+  }
+}
+
+module.exports = {
+  ClientRegistrationSettingsPage,
+};
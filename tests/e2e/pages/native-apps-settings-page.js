@@ -0,0 +1,174 @@
+/**
+ * @file
+ * Page object for the native apps settings form (NativeAppsSettingsForm).
+ *
+ * The form is built with #tree, so element names mirror the
+ * simple_oauth_native_apps.settings keys, e.g. "webview[detection]".
+ */
+
+const { SettingsFormPage } = require('./settings-form-page');
+
+/**
+ * Options of the radios elements, keyed by element name.
+ */
+const NATIVE_APPS_OPTIONS = {
+  'webview[detection]': ['off', 'warn', 'block'],
+  'allow[custom_uri_schemes]': ['auto-detect', 'native', 'web'],
+  'allow[loopback_redirects]': ['auto-detect', 'native', 'web'],
+  'native[enhanced_pkce]': ['auto-detect', 'enhanced', 'not-enhanced'],
+  'native[enforce]': ['off', 'S256', 'plain'],
+};
+
+class NativeAppsSettingsPage extends SettingsFormPage {
+  /**
+   * @param {Object} page - Playwright page
+   */
+  constructor(page) {
+    super(page, '/admin/config/people/simple_oauth/oauth-21/native-apps');
+  }
+
+  /**
+   * @param {boolean} enabled - Whether to enforce native app security
+   */
+  async setEnforceNativeSecurity(enabled) {
+    await this.setCheckbox('security[enforce_native_security]', enabled);
+  }
+
+  /**
+   * @return {boolean} Whether native app security is enforced
+   */
+  async getEnforceNativeSecurity() {
+    return this.getCheckbox('security[enforce_native_security]');
+  }
+
+  /**
+   * @param {string} policy - "off", "warn" or "block"
+   */
+  async setWebviewDetection(policy) {
+    await this.setRadio('webview[detection]', policy);
+  }
+
+  /**
+   * @return {string} WebView detection policy
+   */
+  async getWebviewDetection() {
+    return this.getRadio('webview[detection]');
+  }
+
+  /**
+   * @param {string} message - Message shown to blocked WebViews
+   */
+  async setWebviewMessage(message) {
+    await this.setText('webview[custom_message]', message);
+  }
+
+  /**
+   * @return {string} Message shown to blocked WebViews
+   */
+  async getWebviewMessage() {
+    return this.getText('webview[custom_message]');
+  }
+
+  /**
+   * @param {Array} entries - User agents exempt from WebView detection
+   */
+  async setWebviewWhitelist(entries) {
+    await this.setLines('webview[advanced][whitelist]', entries);
+  }
+
+  /**
+   * @return {Array} User agents exempt from WebView detection
+   */
+  async getWebviewWhitelist() {
+    return this.getLines('webview[advanced][whitelist]');
+  }
+
+  /**
+   * @param {Array} patterns - Extra WebView detection patterns
+   */
+  async setWebviewPatterns(patterns) {
+    await this.setLines('webview[advanced][patterns]', patterns);
+  }
+
+  /**
+   * @return {Array} Extra WebView detection patterns
+   */
+  async getWebviewPatterns() {
+    return this.getLines('webview[advanced][patterns]');
+  }
+
+  /**
+   * @param {boolean} enabled - Whether redirect URIs must match exactly
+   */
+  async setRequireExactRedirectMatch(enabled) {
+    await this.setCheckbox('require_exact_redirect_match', enabled);
+  }
+
+  /**
+   * @return {boolean} Whether redirect URIs must match exactly
+   */
+  async getRequireExactRedirectMatch() {
+    return this.getCheckbox('require_exact_redirect_match');
+  }
+
+  /**
+   * @param {string} value - "auto-detect", "native" or "web"
+   */
+  async setCustomUriSchemes(value) {
+    await this.setRadio('allow[custom_uri_schemes]', value);
+  }
+
+  /**
+   * @return {string} Custom URI scheme policy
+   */
+  async getCustomUriSchemes() {
+    return this.getRadio('allow[custom_uri_schemes]');
+  }
+
+  /**
+   * @param {string} value - "auto-detect", "native" or "web"
+   */
+  async setLoopbackRedirects(value) {
+    await this.setRadio('allow[loopback_redirects]', value);
+  }
+
+  /**
+   * @return {string} Loopback redirect policy
+   */
+  async getLoopbackRedirects() {
+    return this.getRadio('allow[loopback_redirects]');
+  }
+
+  /**
+   * @param {string} value - "auto-detect", "enhanced" or "not-enhanced"
+   */
+  async setEnhancedPkce(value) {
+    await this.setRadio('native[enhanced_pkce]', value);
+  }
+
+  /**
+   * @return {string} Enhanced PKCE mode
+   */
+  async getEnhancedPkce() {
+    return this.getRadio('native[enhanced_pkce]');
+  }
+
+  /**
+   * @param {string} method - "off", "S256" or "plain"
+   */
+  async setEnforcedMethod(method) {
+    await this.setRadio('native[enforce]', method);
+  }
+
+  /**
+   * @return {string} Challenge method enforced for native apps
+   */
+  async getEnforcedMethod() {
+    return this.getRadio('native[enforce]');
+  }
+}
+
+module.exports = {
+  NATIVE_APPS_OPTIONS,
+  NativeAppsSettingsPage,
+};
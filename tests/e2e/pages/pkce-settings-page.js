@@ -0,0 +1,63 @@
+/**
+ * @file
+ * Page object for the PKCE settings form (PkceSettingsForm).
+ */
+
+const { SettingsFormPage } = require('./settings-form-page');
+
+/**
+ * Values of the enforcement select.
+ */
+const PKCE_ENFORCEMENT = ['disabled', 'optional', 'mandatory'];
+
+class PkceSettingsPage extends SettingsFormPage {
+  /**
+   * @param {Object} page - Playwright page
+   */
+  constructor(page) {
+    super(page, '/admin/config/people/simple_oauth/oauth-21/pkce');
+  }
+
+  /**
+   * @param {string} level - One of PKCE_ENFORCEMENT
+   */
+  async setEnforcement(level) {
+    await this.setSelect('enforcement', level);
+  }
+
+  /**
+   * @return {string} Selected enforcement level
+   */
+  async getEnforcement() {
+    return this.getSelect('enforcement');
+  }
+
+  /**
+   * Enable or disable challenge methods; omitted methods are left alone.
+   *
+   * @param {Object} methods - Object with optional s256 and plain booleans
+   */
+  async setMethods({ s256, plain }) {
+    if (s256 !== undefined) {
+      await this.setCheckbox('s256_enabled', s256);
+    }
+    if (plain !== undefined) {
+      await this.setCheckbox('plain_enabled', plain);
+    }
+  }
+
+  /**
+   * @return {Object} Object with s256 and plain booleans
+   */
+  async getMethods() {
+    return {
+      s256: await this.getCheckbox('s256_enabled'),
+      plain: await this.getCheckbox('plain_enabled'),
+    };
+  }
+}
+
+module.exports = {
+  PKCE_ENFORCEMENT,
+  PkceSettingsPage,
+};
@@ -0,0 +1,129 @@
+/**
+ * @file
+ * Page object for the server metadata settings form
+ * (ServerMetadataSettingsForm).
+ */
+
+const { SettingsFormPage } = require('./settings-form-page');
+
+/**
+ * URL elements of the form, named after their config keys.
+ *
+ * device_authorization_endpoint is only shown while the device flow module
+ * is enabled.
+ */
+const METADATA_URL_FIELDS = [
+  'registration_endpoint',
+  'revocation_endpoint',
+  'introspection_endpoint',
+  'device_authorization_endpoint',
+  'service_documentation',
+  'op_policy_uri',
+  'op_tos_uri',
+  'resource_documentation',
+  'resource_policy_uri',
+  'resource_tos_uri',
+];
+
+class ServerMetadataSettingsPage extends SettingsFormPage {
+  /**
+   * @param {Object} page - Playwright page
+   */
+  constructor(page) {
+    super(page, '/admin/config/people/simple_oauth/oauth-21/server-metadata');
+  }
+
+  /**
+   * @param {string} field - One of METADATA_URL_FIELDS
+   * @param {string} url - New URL, or an empty string to use the default
+   */
+  async setUrl(field, url) {
+    if (!METADATA_URL_FIELDS.includes(field)) {
+      throw new Error(`Unknown server metadata URL field "${field}"`);
+    }
+    await this.setText(field, url);
+  }
+
+  /**
+   * @param {string} field - One of METADATA_URL_FIELDS
+   * @return {string} Current URL
+   */
+  async getUrl(field) {
+    return this.getText(field);
+  }
+
+  /**
+   * @param {Array} responseTypes - e.g. ["code", "code id_token"]
+   */
+  async setResponseTypes(responseTypes) {
+    await this.setCheckboxes('response_types_supported', responseTypes);
+  }
+
+  /**
+   * @return {Array} Selected response types
+   */
+  async getResponseTypes() {
+    return this.getCheckboxes('response_types_supported');
+  }
+
+  /**
+   * @param {Array} responseModes - e.g. ["query"]
+   */
+  async setResponseModes(responseModes) {
+    await this.setCheckboxes('response_modes_supported', responseModes);
+  }
+
+  /**
+   * @return {Array} Selected response modes
+   */
+  async getResponseModes() {
+    return this.getCheckboxes('response_modes_supported');
+  }
+
+  /**
+   * @param {Array} locales - BCP47 language tags
+   */
+  async setUiLocales(locales) {
+    await this.setLines('ui_locales_supported', locales);
+  }
+
+  /**
+   * @return {Array} BCP47 language tags
+   */
+  async getUiLocales() {
+    return this.getLines('ui_locales_supported');
+  }
+
+  /**
+   * @param {Array} claims - Claim names
+   */
+  async setAdditionalClaims(claims) {
+    await this.setLines('additional_claims_supported', claims);
+  }
+
+  /**
+   * @return {Array} Claim names
+   */
+  async getAdditionalClaims() {
+    return this.getLines('additional_claims_supported');
+  }
+
+  /**
+   * @param {Array} algorithms - JWS algorithm names, e.g. "ES256"
+   */
+  async setSigningAlgorithms(algorithms) {
+    await this.setLines('additional_signing_algorithms', algorithms);
+  }
+
+  /**
+   * @return {Array} JWS algorithm names
+   */
+  async getSigningAlgorithms() {
+    return this.getLines('additional_signing_algorithms');
+  }
+}
+
+module.exports = {
+  METADATA_URL_FIELDS,
+  ServerMetadataSettingsPage,
+};
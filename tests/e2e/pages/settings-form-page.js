@@ -0,0 +1,239 @@
+/**
+ * @file
+ * Base page object for Drupal configuration forms.
+ *
+ * Subclasses pass the form's path and expose typed setters and getters for
+ * its elements. Elements are addressed by their form name, so the page
+ * objects follow the Form API structure rather than theme markup, and any
+ * collapsed <details> around an element is opened before it is used.
+ */
+
+const { SELECTORS } = require('../utils/constants');
+
+class SettingsFormPage {
+  /**
+   * @param {Object} page - Playwright page
+   * @param {string} path - Path of the settings form
+   */
+  constructor(page, path) {
+    this.page = page;
+    this.path = path;
+  }
+
+  /**
+   * Open the settings form.
+   *
+   * @return {Object} Playwright response of the navigation
+   */
+  async goto() {
+    return this.page.goto(this.path);
+  }
+
+  /**
+   * Get a form element by name.
+   *
+   * @param {string} name - Element name, e.g. "native[enforce]"
+   * @return {Object} Playwright locator
+   */
+  field(name) {
+    return this.page.locator(`[name="${name}"]`);
+  }
+
+  /**
+   * Open every collapsed <details> element around a form element.
+   *
+   * @param {Object} locator - Playwright locator of the element
+   */
+  async reveal(locator) {
+    await locator.first().evaluate(element => {
+      let details = element.closest('details');
+      while (details) {
+        details.open = true;
+        details = details.parentElement.closest('details');
+      }
+    });
+  }
+
+  /**
+   * @param {string} name - Checkbox name
+   * @param {boolean} checked - Whether the checkbox should be checked
+   */
+  async setCheckbox(name, checked) {
+    const checkbox = this.field(name);
+    await this.reveal(checkbox);
+    await checkbox.setChecked(checked);
+  }
+
+  /**
+   * @param {string} name - Checkbox name
+   * @return {boolean} Whether the checkbox is checked
+   */
+  async getCheckbox(name) {
+    return this.field(name).isChecked();
+  }
+
+  /**
+   * Check exactly the given options of a checkboxes element.
+   *
+   * @param {string} name - Element name; options are named "name[value]"
+   * @param {Array} values - Option values to check
+   */
+  async setCheckboxes(name, values) {
+    const options = this.page.locator(
+      `input[type="checkbox"][name^="${name}["]`,
+    );
+    await this.reveal(options);
+    for (const option of await options.all()) {
+      await option.setChecked(values.includes(await option.inputValue()));
+    }
+  }
+
+  /**
+   * @param {string} name - Element name; options are named "name[value]"
+   * @return {Array} Values of the checked options
+   */
+  async getCheckboxes(name) {
+    return this.page
+      .locator(`input[type="checkbox"][name^="${name}["]:checked`)
+      .evaluateAll(options => options.map(option => option.value));
+  }
+
+  /**
+   * @param {string} name - Radios name
+   * @param {string} value - Value of the option to select
+   */
+  async setRadio(name, value) {
+    const option = this.page.locator(
+      `input[type="radio"][name="${name}"][value="${value}"]`,
+    );
+    await this.reveal(option);
+    await option.check();
+  }
+
+  /**
+   * @param {string} name - Radios name
+   * @return {string|null} Value of the selected option
+   */
+  async getRadio(name) {
+    const selected = this.page.locator(
+      `input[type="radio"][name="${name}"]:checked`,
+    );
+    return (await selected.count()) ? selected.inputValue() : null;
+  }
+
+  /**
+   * @param {string} name - Select name
+   * @param {string} value - Value of the option to select
+   */
+  async setSelect(name, value) {
+    const select = this.field(name);
+    await this.reveal(select);
+    await select.selectOption(value);
+  }
+
+  /**
+   * @param {string} name - Select name
+   * @return {string} Value of the selected option
+   */
+  async getSelect(name) {
+    return this.field(name).inputValue();
+  }
+
+  /**
+   * Fill a text, number, URL or textarea element.
+   *
+   * @param {string} name - Element name
+   * @param {string|number} value - New value
+   */
+  async setText(name, value) {
+    const input = this.field(name);
+    await this.reveal(input);
+    await input.fill(String(value));
+  }
+
+  /**
+   * @param {string} name - Element name
+   * @return {string} Current value
+   */
+  async getText(name) {
+    return this.field(name).inputValue();
+  }
+
+  /**
+   * Fill a textarea holding one value per line.
+   *
+   * @param {string} name - Textarea name
+   * @param {Array} values - Lines to enter
+   */
+  async setLines(name, values) {
+    await this.setText(name, values.join('\n'));
+  }
+
+  /**
+   * @param {string} name - Textarea name
+   * @return {Array} Non-empty, trimmed lines
+   */
+  async getLines(name) {
+    return (await this.getText(name))
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Submit the form and wait for the resulting page.
+   */
+  async submit() {
+    await this.page.locator(SELECTORS.forms.submit).first().click();
+    await this.page.waitForLoadState('load');
+  }
+
+  /**
+   * Read the text of every message of one type.
+   *
+   * @param {string} selector - Message selector from SELECTORS.drupal
+   * @return {Array} Message texts
+   */
+  async getMessages(selector) {
+    return (await this.page.locator(selector).allInnerTexts()).map(text =>
+      text.trim(),
+    );
+  }
+
+  /**
+   * @return {Array} Texts of the status messages
+   */
+  async getStatusMessages() {
+    return this.getMessages(SELECTORS.drupal.successMessage);
+  }
+
+  /**
+   * @return {Array} Texts of the warning messages
+   */
+  async getWarningMessages() {
+    return this.getMessages(SELECTORS.drupal.warningMessage);
+  }
+
+  /**
+   * @return {Array} Texts of the error messages
+   */
+  async getErrorMessages() {
+    return this.getMessages(SELECTORS.drupal.errorMessage);
+  }
+
+  /**
+   * Whether Drupal flagged an element as failing validation.
+   *
+   * @param {string} name - Element name
+   * @return {boolean} Whether the element is marked invalid
+   */
+  async hasFieldError(name) {
+    return (
+      (await this.field(name).first().getAttribute('aria-invalid')) === 'true'
+    );
+  }
+}
+
+module.exports = {
+  SettingsFormPage,
+};
@@ -0,0 +1,282 @@
+const { test, expect } = require('../fixtures/oauth');
+const { requireModules } = require('../utils/module-matrix');
+const { runAuthorizationCodeFlow } = require('../utils/oauth-flow-helper');
+const { getConsumer, deleteConsumer } = require('../utils/consumer-helper');
+const {
+  getClientConfigurationPath,
+  registerClient,
+  readClient,
+  updateClient,
+  deleteClient,
+  toFlowClient,
+} = require('../utils/client-registration-helper');
+const { GRANT_TYPES, UTILS } = require('../utils/constants');
+
+/**
+ * Dynamic Client Registration (RFC 7591) and management (RFC 7592).
+ *
+ * Runs against /oauth/register and /oauth/register/{client_id} through the
+ * `request` fixture; only the final authorization code flow needs a page.
+ */
+
+const REDIRECT_URI = 'http://127.0.0.1:8765/callback';
+
+/**
+ * Error codes accepted for a rejected redirect URI.
+ *
+ * RFC 7591 Section 3.2.2 defines invalid_redirect_uri, but the more general
+ * invalid_client_metadata is also a valid response for bad metadata.
+ */
+const REDIRECT_URI_ERRORS = ['invalid_redirect_uri', 'invalid_client_metadata'];
+
+/**
+ * Metadata rejected with invalid_client_metadata (RFC 7591 Section 3.2.2).
+ *
+ * String bodies are sent as-is; objects get a valid redirect URI added.
+ */
+const INVALID_METADATA = [
+  { name: 'an empty body', body: '' },
+  { name: 'malformed JSON', body: '{"redirect_uris": [' },
+  { name: 'an unknown grant type', body: { grant_types: ['magic'] } },
+  {
+    name: 'an unknown token endpoint auth method',
+    body: { token_endpoint_auth_method: 'carrier_pigeon' },
+  },
+  { name: 'an invalid contact', body: { contacts: ['not-an-email'] } },
+  { name: 'an invalid logo URI', body: { logo_uri: 'not a uri' } },
+  { name: 'a non-string client name', body: { client_name: ['list'] } },
+];
+
+/**
+ * Rejected redirect_uris values.
+ */
+const INVALID_REDIRECT_URIS = [[], ['not a uri'], ['/relative/callback']];
+
+/**
+ * Assert that a client configuration request was refused.
+ *
+ * @param {Object} result - Result of a client configuration request
+ */
+function expectRegistrationTokenRejected(result) {
+  expect([400, 401]).toContain(result.status);
+  expect(['invalid_request', 'invalid_token']).toContain(result.body.error);
+}
+
+test.describe('Dynamic Client Registration (RFC 7591/7592)', () => {
+  const registrations = [];
+
+  /**
+   * Register a client and remember it for cleanup.
+   *
+   * @param {Object} request - Playwright APIRequestContext
+   * @param {Object} metadata - Client metadata
+   * @return {Object} Object with status and parsed JSON body
+   */
+  async function register(request, metadata) {
+    const result = await registerClient(request, {
+      redirect_uris: [REDIRECT_URI],
+      ...metadata,
+    });
+    if (result.body && result.body.client_id) {
+      registrations.push(result.body);
+    }
+    return result;
+  }
+
+  requireModules(test, ['simple_oauth_client_registration']);
+
+  test.afterAll(async () => {
+    await Promise.all(
+      registrations.map(registration => deleteConsumer(registration.client_id)),
+    );
+  });
+
+  test.describe('Registration', () => {
+    test('should register a confidential client with server defaults', async ({
+      request,
+    }) => {
+      const { status, headers, body } = await register(request, {});
+
+      expect(status).toBe(200);
+      expect(headers['cache-control']).not.toContain('public');
+      expect(body.client_id).toMatch(/^[a-zA-Z0-9_\-/+=]{32,128}$/);
+      expect(body.client_secret).toBeTruthy();
+      expect(body.client_secret_expires_at).toBe(0);
+      expect(body.client_id_issued_at).toBeLessThanOrEqual(
+        Math.ceil(Date.now() / 1000),
+      );
+      expect(body.registration_access_token).toBeTruthy();
+      expect(new URL(body.registration_client_uri).pathname).toBe(
+        getClientConfigurationPath(body.client_id),
+      );
+      expect(body.redirect_uris).toEqual([REDIRECT_URI]);
+      expect(body.grant_types).toEqual([
+        GRANT_TYPES.authorizationCode,
+        GRANT_TYPES.refreshToken,
+      ]);
+    });
+
+    test('should register a public client without a secret', async ({
+      request,
+    }) => {
+      const { status, body } = await register(request, {
+        token_endpoint_auth_method: 'none',
+      });
+
+      expect(status).toBe(200);
+      expect(body.client_secret).toBeUndefined();
+      expect(body.client_secret_expires_at).toBeUndefined();
+
+      const consumer = await getConsumer(body.client_id);
+      expect(consumer.confidential.map(Number)).toEqual([0]);
+    });
+
+    test('should echo the full client metadata', async ({ request }) => {
+      const metadata = {
+        client_name: `E2E registered client ${UTILS.generateUniqueId()}`,
+        redirect_uris: [REDIRECT_URI, 'https://client.example.com/callback'],
+        grant_types: [
+          GRANT_TYPES.authorizationCode,
+          GRANT_TYPES.refreshToken,
+          GRANT_TYPES.deviceCode,
+        ],
+        client_uri: 'https://client.example.com',
+        logo_uri: 'https://client.example.com/logo.png',
+        tos_uri: 'https://client.example.com/tos',
+        policy_uri: 'https://client.example.com/privacy',
+        contacts: ['admin@client.example.com'],
+        software_id: 'e2e-suite',
+        software_version: '1.0.0',
+      };
+
+      const { status, body } = await register(request, metadata);
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject(metadata);
+    });
+  });
+
+  test.describe('Client configuration endpoint', () => {
+    test('should read back the registered metadata', async ({ request }) => {
+      const { body: registration } = await register(request, {
+        client_name: 'E2E read client',
+      });
+
+      const { status, body } = await readClient(request, registration);
+
+      expect(status).toBe(200);
+      expect(body.client_id).toBe(registration.client_id);
+      expect(body.client_name).toBe('E2E read client');
+      expect(body.redirect_uris).toEqual([REDIRECT_URI]);
+      expect(body.client_secret).toBeUndefined();
+      expect(body.registration_access_token).toBeUndefined();
+    });
+
+    test('should update the registered metadata', async ({ request }) => {
+      const { body: registration } = await register(request, {
+        client_name: 'E2E update client',
+      });
+      const changes = {
+        client_name: 'E2E updated client',
+        redirect_uris: ['http://127.0.0.1:8766/callback'],
+        client_uri: 'https://updated.example.com',
+      };
+
+      const update = await updateClient(request, registration, changes);
+      expect(update.status).toBe(200);
+      expect(update.body).toMatchObject(changes);
+
+      const read = await readClient(request, registration);
+      expect(read.body).toMatchObject(changes);
+    });
+
+    test('should delete the registration', async ({ request }) => {
+      const { body: registration } = await register(request, {});
+
+      const removal = await deleteClient(request, registration);
+      expect(removal.status).toBe(204);
+      expect(await getConsumer(registration.client_id)).toBeNull();
+
+      // The registration access token is revoked along with the client.
+      expectRegistrationTokenRejected(await readClient(request, registration));
+    });
+
+    test('should reject requests without a valid registration token', async ({
+      request,
+    }) => {
+      const { body: registration } = await register(request, {});
+      const { body: other } = await register(request, {});
+
+      const missing = await readClient(request, {
+        client_id: registration.client_id,
+      });
+      const wrong = await readClient(request, {
+        ...registration,
+        registration_access_token: UTILS.generateUniqueId(),
+      });
+      const foreign = await readClient(request, {
+        ...registration,
+        registration_access_token: other.registration_access_token,
+      });
+
+      [missing, wrong, foreign].forEach(expectRegistrationTokenRejected);
+      expect(await getConsumer(registration.client_id)).not.toBeNull();
+    });
+  });
+
+  test.describe('Authorization with a registered client', () => {
+    test('should complete an authorization code flow right after registration', async ({
+      adminPage,
+      adminUser,
+      request,
+    }) => {
+      const { body: registration } = await register(request, {
+        client_name: 'E2E flow client',
+      });
+
+      const result = await runAuthorizationCodeFlow(adminPage, {
+        ...toFlowClient(registration),
+        user: adminUser,
+      });
+
+      expect(result.token.status).toBe(200);
+      expect(result.token.body.token_type).toBe('Bearer');
+      expect(result.token.body.access_token).toBeTruthy();
+      expect(result.token.body.refresh_token).toBeTruthy();
+    });
+  });
+});
+
+test.describe('Dynamic Client Registration errors', () => {
+  requireModules(test, ['simple_oauth_client_registration']);
+
+  INVALID_METADATA.forEach(({ name, body: metadata }) => {
+    test(`should reject ${name} with invalid_client_metadata`, async ({
+      request,
+    }) => {
+      const { status, body } = await registerClient(
+        request,
+        typeof metadata === 'string'
+          ? metadata
+          : { redirect_uris: [REDIRECT_URI], ...metadata },
+      );
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('invalid_client_metadata');
+      expect(body.error_description).toBeTruthy();
+    });
+  });
+
+  INVALID_REDIRECT_URIS.forEach(redirectUris => {
+    test(`should reject redirect_uris ${JSON.stringify(redirectUris)}`, async ({
+      request,
+    }) => {
+      const { status, body } = await registerClient(request, {
+        redirect_uris: redirectUris,
+      });
+
+      expect(status).toBe(400);
+      expect(REDIRECT_URI_ERRORS).toContain(body.error);
+    });
+  });
+});
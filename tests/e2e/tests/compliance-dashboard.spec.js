@@ -0,0 +1,254 @@
+const { test, expect } = require('../fixtures/oauth');
+const { restoreDatabaseForFile } = require('../fixtures/database');
+const { getAuthTag } = require('../utils/auth-state');
+const {
+  enableModule,
+  disableModule,
+  execPhpInTestSite,
+} = require('../utils/drush-helper');
+const {
+  getModuleCombination,
+  requireModules,
+} = require('../utils/module-matrix');
+const { trackConfigChanges } = require('../utils/config-helper');
+const { SELECTORS, OAUTH_SUBMODULES } = require('../utils/constants');
+
+/**
+ * OAuth 2.1 compliance dashboard.
+ *
+ * The page renders OAuth21ComplianceService::getRfcComplianceStatus() through
+ * the rfc-matrix and status-indicator components. Each row is compared with
+ * what the service reports for the live site, so the mapping done by
+ * OAuth21ComplianceController is covered as well as the templates.
+ *
+ * One test uninstalls PKCE and enables it again, so it only runs with a
+ * single worker, as on CI, and never in a module matrix project.
+ */
+
+const DASHBOARD_PATH = '/admin/config/people/simple_oauth/oauth-21';
+
+/**
+ * Status indicator values for the service's compliance states.
+ */
+const COMPONENT_STATUS = {
+  configured: 'enabled',
+  needs_attention: 'enabled',
+  not_available: 'not-installed',
+};
+
+/**
+ * Badge suffixes rendered by the status-indicator component.
+ */
+const STATUS_LABELS = {
+  enabled: 'Enabled',
+  disabled: 'Disabled',
+  'not-installed': 'Not Installed',
+};
+
+/**
+ * Fetch the compliance status as the dashboard controller sees it.
+ *
+ * @return {Object} RFC status keyed by RFC identifier, e.g. rfc_7636
+ */
+async function getComplianceStatus() {
+  return execPhpInTestSite(
+    'echo json_encode(\\Drupal::service("simple_oauth_21.compliance_service")->getRfcComplianceStatus());',
+  );
+}
+
+/**
+ * Read the rendered RFC matrix.
+ *
+ * @param {Object} page - Playwright page on the dashboard
+ * @return {Array} Rows with id, status, badge, recommendation and actions
+ */
+async function readRfcMatrix(page) {
+  const rows = page.locator(SELECTORS.compliance.rfcRow);
+  const count = await rows.count();
+  const matrix = [];
+
+  for (let index = 0; index < count; index++) {
+    const row = rows.nth(index);
+    const indicator = row.locator(SELECTORS.compliance.statusIndicator);
+    const badge = indicator.locator(SELECTORS.compliance.statusBadge);
+    const recommendation = row.locator(SELECTORS.compliance.recommendation);
+
+    matrix.push({
+      id: (await row.locator('td').first().innerText()).trim(),
+      status: await indicator.getAttribute('data-status'),
+      badgeClass: await badge.getAttribute('class'),
+      badge: (await badge.innerText()).replace(/\s+/g, ' ').trim(),
+      recommendation: (await recommendation.count())
+        ? (await recommendation.innerText()).trim()
+        : null,
+      actions: (
+        await row.locator(SELECTORS.compliance.actions).allInnerTexts()
+      ).map(text => text.trim()),
+    });
+  }
+
+  return matrix;
+}
+
+/**
+ * Build the row the dashboard should render for a service entry.
+ *
+ * @param {string} id - RFC identifier, e.g. rfc_7636
+ * @param {Object} data - Entry from getRfcComplianceStatus()
+ * @return {Object} Expected row, in the shape returned by readRfcMatrix()
+ */
+function expectedRow(id, data) {
+  const status = COMPONENT_STATUS[data.status] || 'not-installed';
+  const actions = [];
+  if (status === 'enabled' && data.module !== 'simple_oauth_device_flow') {
+    actions.push(data.status === 'needs_attention' ? 'Configure' : 'Settings');
+  }
+  if (status === 'not-installed') {
+    actions.push('Install Required');
+  }
+  actions.push('RFC Docs');
+
+  return {
+    id: id.toUpperCase(),
+    status,
+    badgeClass: expect.stringContaining(`status-badge-${status}`),
+    badge: expect.stringContaining(`${data.module} (${STATUS_LABELS[status]})`),
+    recommendation:
+      data.status === 'needs_attention' ? data.recommendation : null,
+    actions,
+  };
+}
+
+/**
+ * Check one rendered row against the compliance service.
+ *
+ * @param {Object} page - Playwright page on the dashboard
+ * @param {string} id - RFC identifier, e.g. rfc_7636
+ * @param {string} status - Expected status indicator value
+ */
+async function expectRfcRow(page, id, status) {
+  const expected = expectedRow(id, (await getComplianceStatus())[id]);
+  expect(expected.status, `${id} status`).toBe(status);
+
+  const matrix = await readRfcMatrix(page);
+  expect(matrix.find(row => row.id === expected.id)).toEqual(expected);
+}
+
+restoreDatabaseForFile(test);
+
+test.describe('OAuth 2.1 Compliance Dashboard', () => {
+  // Tests change PKCE settings; keep them in one worker.
+  test.describe.configure({ mode: 'default' });
+
+  const siteConfig = trackConfigChanges();
+
+  requireModules(test, OAUTH_SUBMODULES);
+
+  test.afterAll(async () => {
+    await enableModule('simple_oauth_pkce');
+    await siteConfig.restore();
+  });
+
+  test('should deny access without the administer permission', async ({
+    request,
+  }) => {
+    const response = await request.get(DASHBOARD_PATH);
+
+    expect(response.status()).toBe(403);
+  });
+
+  test('should render every RFC reported by the compliance service', async ({
+    adminPage: page,
+  }) => {
+    await page.goto(DASHBOARD_PATH);
+
+    const status = await getComplianceStatus();
+    const matrix = await readRfcMatrix(page);
+
+    expect(matrix).toEqual(
+      Object.entries(status).map(([id, data]) => expectedRow(id, data)),
+    );
+    Object.values(status).forEach(data => {
+      expect(data.enabled, `${data.module} is enabled`).toBe(true);
+    });
+  });
+
+  test('should follow the PKCE configuration state', async ({
+    adminPage: page,
+  }) => {
+    const pkceRow = page
+      .locator(SELECTORS.compliance.rfcRow)
+      .filter({ hasText: 'RFC_7636' });
+
+    await siteConfig.set(
+      'simple_oauth_pkce.settings',
+      'enforcement',
+      'optional',
+    );
+    await page.goto(DASHBOARD_PATH);
+    const optional = (await getComplianceStatus()).rfc_7636;
+    expect(optional.status).toBe('needs_attention');
+    await expect(
+      pkceRow.locator(SELECTORS.compliance.recommendation),
+    ).toHaveText(optional.recommendation);
+    await expect(pkceRow.locator(SELECTORS.compliance.actions)).toContainText([
+      'Configure',
+    ]);
+
+    await siteConfig.set(
+      'simple_oauth_pkce.settings',
+      'enforcement',
+      'mandatory',
+    );
+    await siteConfig.set('simple_oauth_pkce.settings', 's256_enabled', true);
+    await page.reload();
+    const mandatory = (await getComplianceStatus()).rfc_7636;
+    expect(mandatory.status).toBe('configured');
+    await expect(
+      pkceRow.locator(SELECTORS.compliance.recommendation),
+    ).toHaveCount(0);
+    await expect(pkceRow.locator(SELECTORS.compliance.actions)).toContainText([
+      'Settings',
+    ]);
+    await expect(
+      pkceRow.locator(SELECTORS.compliance.statusIndicator),
+    ).toHaveAttribute('data-status', 'enabled');
+  });
+
+  test.describe('from a fresh site', () => {
+    // Starts from the baseline PKCE settings, with other workers held off
+    // while PKCE is uninstalled.
+    test.use({ freshSite: true });
+
+    test('should follow PKCE being uninstalled and enabled again', async ({
+      adminPage: page,
+    }, testInfo) => {
+      test.skip(
+        !!getModuleCombination(testInfo.project),
+        'Module matrix projects keep their module combination',
+      );
+
+      expect(await disableModule('simple_oauth_pkce')).toBe(true);
+      await page.goto(DASHBOARD_PATH);
+      await expectRfcRow(page, 'rfc_7636', 'not-installed');
+
+      expect(await enableModule('simple_oauth_pkce')).toBe(true);
+      await page.reload();
+      await expectRfcRow(page, 'rfc_7636', 'enabled');
+    });
+  });
+});
+
+test.describe(
+  'OAuth 2.1 Compliance Dashboard access',
+  { tag: getAuthTag('authenticated') },
+  () => {
+    test('should deny access to users without the administer permission', async ({
+      page,
+    }) => {
+      const response = await page.goto(DASHBOARD_PATH);
+
+      expect(response.status()).toBe(403);
+    });
+  },
+);
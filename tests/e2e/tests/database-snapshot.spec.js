@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test, expect } = require('@playwright/test');
+const {
+  createDatabaseSnapshot,
+  restoreDatabaseSnapshot,
+} = require('../utils/database-snapshot');
+const {
+  getLockDirectory,
+  lockDatabaseShared,
+  unlockDatabaseShared,
+  lockDatabaseExclusive,
+  unlockDatabaseExclusive,
+} = require('../utils/database-lock');
+const { resetDrushTarget } = require('../utils/drupal-site');
+
+/**
+ * Database snapshots and the restore lock.
+ *
+ * Snapshots must work when Drush runs in a container that cannot see the
+ * host's files, and restores must not overlap other workers' tests. These
+ * tests point
+ * the helpers at a stand-in Drush that keeps its "database" in a file only
+ * it names, so no Drupal site is needed.
+ */
+
+const FAKE_DRUSH = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const database = process.env.FAKE_DRUSH_DATABASE;
+fs.appendFileSync(process.env.FAKE_DRUSH_LOG, JSON.stringify(args) + '\\n');
+if (args[0] === 'core:status') {
+  process.stdout.write(JSON.stringify({
+    'db-driver': 'mysql',
+    'db-name': 'drupal',
+    root: '/var/www/html/web',
+  }));
+} else if (args[0] === 'sql:dump') {
+  if (!fs.existsSync(database)) {
+    process.stderr.write('Database not found');
+    process.exit(1);
+  }
+  process.stdout.write(fs.readFileSync(database));
+} else if (args[0] === 'sql:drop') {
+  fs.writeFileSync(database, '');
+} else if (args[0] === 'sql:cli') {
+  fs.writeFileSync(database, fs.readFileSync(0));
+}
+`;
+
+/**
+ * Read the argument lists recorded by the stand-in Drush.
+ *
+ * @param {string} log - Path of the log file
+ * @return {Array} One argument list per Drush call
+ */
+function readDrushCalls(log) {
+  return fs
+    .readFileSync(log, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Record a hold as another worker would.
+ *
+ * @param {number} pid - Process ID of the pretended worker
+ * @param {string} kind - 'shared' or 'exclusive'
+ * @return {string} Path of the hold file
+ */
+function addHold(pid, kind = 'shared') {
+  const hold = path.join(
+    getLockDirectory(),
+    kind === 'shared' ? `shared-${pid}.lock` : 'exclusive.lock',
+  );
+  fs.mkdirSync(getLockDirectory(), { recursive: true });
+  fs.writeFileSync(hold, kind === 'shared' ? '' : String(pid));
+  return hold;
+}
+
+/**
+ * Whether a promise is still pending after a short wait.
+ *
+ * @param {Promise} promise - Promise to watch
+ * @return {boolean} Whether it has not settled
+ */
+async function isStillPending(promise) {
+  let settled = false;
+  promise.then(
+    () => {
+      settled = true;
+    },
+    () => {
+      settled = true;
+    },
+  );
+  await new Promise(resolve => {
+    setTimeout(resolve, 500);
+  });
+  return !settled;
+}
+
+test.describe('Database snapshots', () => {
+  // Tests share the stand-in site and the lock directory.
+  test.describe.configure({ mode: 'default' });
+
+  const originalEnv = {};
+  let projectRoot;
+  let database;
+  let log;
+
+  test.beforeAll(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'db-snapshot-'));
+    fs.writeFileSync(
+      path.join(projectRoot, 'composer.json'),
+      JSON.stringify({ require: { 'drupal/core': '^11' } }),
+    );
+    fs.mkdirSync(path.join(projectRoot, 'vendor/bin'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'vendor/bin/drush'), FAKE_DRUSH, {
+      mode: 0o755,
+    });
+    database = path.join(projectRoot, 'container-database.sql');
+    log = path.join(projectRoot, 'drush.log');
+
+    [
+      'DRUPAL_ROOT',
+      'DRUSH_BIN',
+      'DRUSH_WRAPPER',
+      'E2E_DB_SNAPSHOT_DIR',
+      'FAKE_DRUSH_DATABASE',
+      'FAKE_DRUSH_LOG',
+    ].forEach(name => {
+      originalEnv[name] = process.env[name];
+    });
+    process.env.DRUPAL_ROOT = projectRoot;
+    process.env.DRUSH_WRAPPER = 'none';
+    process.env.E2E_DB_SNAPSHOT_DIR = path.join(projectRoot, 'snapshots');
+    process.env.FAKE_DRUSH_DATABASE = database;
+    process.env.FAKE_DRUSH_LOG = log;
+    delete process.env.DRUSH_BIN;
+    resetDrushTarget();
+  });
+
+  test.afterAll(() => {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    resetDrushTarget();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test.beforeEach(() => {
+    fs.writeFileSync(log, '');
+  });
+
+  test('should stream snapshots through Drush without sharing paths', async () => {
+    fs.writeFileSync(database, 'INSERT INTO users VALUES (1);\n');
+
+    const snapshot = await createDatabaseSnapshot('stream');
+    expect(fs.readFileSync(snapshot, 'utf8')).toBe(
+      'INSERT INTO users VALUES (1);\n',
+    );
+
+    fs.writeFileSync(database, 'INSERT INTO users VALUES (2);\n');
+    await restoreDatabaseSnapshot('stream');
+    expect(fs.readFileSync(database, 'utf8')).toBe(
+      'INSERT INTO users VALUES (1);\n',
+    );
+
+    const calls = readDrushCalls(log).filter(
+      ([command]) => command !== 'core:status',
+    );
+    expect(calls).toEqual([
+      ['sql:dump'],
+      ['sql:drop', '-y'],
+      ['sql:cli'],
+      ['cache:rebuild'],
+    ]);
+  });
+
+  test('should keep the previous snapshot when a dump fails', async () => {
+    fs.writeFileSync(database, 'INSERT INTO users VALUES (1);\n');
+    const snapshot = await createDatabaseSnapshot('kept');
+
+    fs.rmSync(database);
+    await expect(createDatabaseSnapshot('kept')).rejects.toThrow('sql:dump');
+    expect(fs.readFileSync(snapshot, 'utf8')).toBe(
+      'INSERT INTO users VALUES (1);\n',
+    );
+    expect(fs.readdirSync(path.dirname(snapshot))).not.toContain(
+      'kept.sql.partial',
+    );
+  });
+
+  test('should wait for other workers before restoring', async () => {
+    // The parent of this worker stands in for another live worker.
+    const hold = addHold(process.ppid);
+    const locking = lockDatabaseExclusive();
+
+    expect(await isStillPending(locking)).toBe(true);
+    fs.rmSync(hold);
+    await locking;
+    expect(fs.readdirSync(getLockDirectory())).toEqual(['exclusive.lock']);
+
+    unlockDatabaseExclusive();
+    expect(fs.readdirSync(getLockDirectory())).toEqual([]);
+  });
+
+  test('should hold tests back while another worker restores', async () => {
+    const hold = addHold(process.ppid, 'exclusive');
+    const locking = lockDatabaseShared();
+
+    expect(await isStillPending(locking)).toBe(true);
+    expect(fs.readdirSync(getLockDirectory())).toEqual(['exclusive.lock']);
+    fs.rmSync(hold);
+    await locking;
+    expect(fs.readdirSync(getLockDirectory())).toEqual([
+      `shared-${process.pid}.lock`,
+    ]);
+
+    unlockDatabaseShared();
+    expect(fs.readdirSync(getLockDirectory())).toEqual([]);
+  });
+
+  test('should not wait for holds this worker already has', async () => {
+    await lockDatabaseShared();
+    await lockDatabaseExclusive();
+    await lockDatabaseShared();
+    await lockDatabaseExclusive();
+    expect(fs.readdirSync(getLockDirectory())).toEqual(['exclusive.lock']);
+
+    unlockDatabaseExclusive();
+    unlockDatabaseExclusive();
+    expect(fs.readdirSync(getLockDirectory())).toEqual([
+      `shared-${process.pid}.lock`,
+    ]);
+    unlockDatabaseShared();
+    unlockDatabaseShared();
+    expect(fs.readdirSync(getLockDirectory())).toEqual([]);
+  });
+
+  test('should ignore holds left by workers that are gone', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    addHold(pid);
+    addHold(pid, 'exclusive');
+
+    await lockDatabaseExclusive();
+
+    expect(fs.readdirSync(getLockDirectory())).toEqual(['exclusive.lock']);
+    unlockDatabaseExclusive();
+  });
+});
@@ -0,0 +1,241 @@
+const { test, expect } = require('../fixtures/oauth');
+const { restoreDatabaseForFile } = require('../fixtures/database');
+const { execPhpInTestSite } = require('../utils/drush-helper');
+const { requireModules } = require('../utils/module-matrix');
+const { trackConfigChanges } = require('../utils/config-helper');
+const { loginUser } = require('../utils/test-setup');
+const {
+  requestDeviceAuthorization,
+  requestDeviceToken,
+} = require('../utils/oauth-flow-helper');
+const {
+  ENDPOINTS,
+  OAUTH_CONSUMERS,
+  SELECTORS,
+  UTILS,
+} = require('../utils/constants');
+
+/**
+ * Device Authorization Grant (RFC 8628) driven end-to-end.
+ *
+ * The device side talks to the endpoints through the `request` fixture while
+ * the user approves or denies the code in a separate browser context, which
+ * also covers the anonymous redirect-to-login path of /oauth/device.
+ */
+
+const POLLING_INTERVAL = 2;
+
+/**
+ * Submit a user code on the verification page as the given user.
+ *
+ * @param {Object} browser - Playwright browser
+ * @param {string} baseURL - Drupal base URL
+ * @param {Object} user - Credentials of the approving user
+ * @param {string} userCode - User code shown on the device
+ * @param {string} action - 'authorize' or 'deny'
+ * @return {string} Text of the resulting status message
+ */
+async function submitUserCode(browser, baseURL, user, userCode, action) {
+  const context = await browser.newContext({ baseURL });
+  const page = await context.newPage();
+  try {
+    await page.goto(ENDPOINTS.deviceVerification);
+    if (page.url().includes('/user/login')) {
+      await loginUser(page, user);
+    }
+    await page.fill(SELECTORS.oauth.deviceUserCode, userCode);
+    await page.click(
+      action === 'deny'
+        ? SELECTORS.oauth.deviceDeny
+        : SELECTORS.oauth.deviceAuthorize,
+    );
+    const message = page.locator(SELECTORS.drupal.messages).first();
+    await message.waitFor();
+    return message.textContent();
+  } finally {
+    await context.close();
+  }
+}
+
+restoreDatabaseForFile(test);
+
+test.describe('Device Authorization Grant (RFC 8628)', () => {
+  // Shared site settings; keep the tests in one worker.
+  test.describe.configure({ mode: 'default' });
+
+  const siteConfig = trackConfigChanges();
+
+  requireModules(test, ['simple_oauth_device_flow']);
+  test.use({ oauthClientOptions: OAUTH_CONSUMERS.deviceTv });
+
+  test.beforeAll(async () => {
+    await siteConfig.set(
+      'simple_oauth_device_flow.settings',
+      'polling_interval',
+      POLLING_INTERVAL,
+    );
+  });
+
+  test.afterAll(async () => {
+    await siteConfig.restore();
+  });
+
+  test('should issue device and user codes', async ({
+    oauthClient,
+    request,
+  }) => {
+    const { status, body } = await requestDeviceAuthorization(
+      request,
+      oauthClient,
+    );
+
+    expect(status).toBe(200);
+    expect(body.device_code).toBeTruthy();
+    expect(body.user_code).toMatch(/^[A-Z]{4}-[A-Z]{4}$/);
+    expect(new URL(body.verification_uri).pathname).toBe(
+      ENDPOINTS.deviceVerification,
+    );
+    expect(body.verification_uri_complete).toContain(
+      encodeURIComponent(body.user_code),
+    );
+    expect(body.expires_in).toBeGreaterThan(0);
+    expect(body.interval).toBe(POLLING_INTERVAL);
+  });
+
+  test('should reject unknown clients', async ({ request }) => {
+    const { status, body } = await requestDeviceAuthorization(request, {
+      clientId: UTILS.generateUniqueId(),
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('invalid_client');
+  });
+
+  test('should send anonymous users to login and back to the form', async ({
+    adminUser,
+    browser,
+    baseURL,
+    oauthClient,
+    request,
+  }) => {
+    const { body } = await requestDeviceAuthorization(request, oauthClient);
+    const context = await browser.newContext({ baseURL });
+    const page = await context.newPage();
+    try {
+      await page.goto(body.verification_uri_complete);
+      await expect(page).toHaveURL(/\/user\/login\?destination=/);
+
+      await loginUser(page, adminUser);
+      await expect(page).toHaveURL(/\/oauth\/device\?user_code=/);
+      await expect(page.locator(SELECTORS.oauth.deviceUserCode)).toHaveValue(
+        body.user_code,
+      );
+    } finally {
+      await context.close();
+    }
+  });
+
+  test('should report authorization_pending and slow_down while waiting', async ({
+    oauthClient,
+    request,
+  }) => {
+    const { body } = await requestDeviceAuthorization(request, oauthClient);
+    const poll = { ...oauthClient, deviceCode: body.device_code };
+
+    const pending = await requestDeviceToken(request, poll);
+    expect(pending.status).toBe(400);
+    expect(pending.body.error).toBe('authorization_pending');
+
+    const tooSoon = await requestDeviceToken(request, poll);
+    expect(tooSoon.status).toBe(400);
+    expect(tooSoon.body.error).toBe('slow_down');
+  });
+
+  test('should issue tokens once the user authorizes the device', async ({
+    adminUser,
+    browser,
+    baseURL,
+    oauthClient,
+    request,
+  }) => {
+    const { body } = await requestDeviceAuthorization(request, oauthClient);
+
+    const message = await submitUserCode(
+      browser,
+      baseURL,
+      adminUser,
+      body.user_code,
+      'authorize',
+    );
+    expect(message).toContain('Device authorized successfully');
+
+    const token = await requestDeviceToken(request, {
+      ...oauthClient,
+      deviceCode: body.device_code,
+    });
+    expect(token.status).toBe(200);
+    expect(token.body.token_type).toBe('Bearer');
+    expect(token.body.access_token).toBeTruthy();
+  });
+
+  test('should report access_denied once the user denies the device', async ({
+    adminUser,
+    browser,
+    baseURL,
+    oauthClient,
+    request,
+  }) => {
+    const { body } = await requestDeviceAuthorization(request, oauthClient);
+
+    const message = await submitUserCode(
+      browser,
+      baseURL,
+      adminUser,
+      body.user_code,
+      'deny',
+    );
+    expect(message).toContain('Device authorization was denied');
+
+    const token = await requestDeviceToken(request, {
+      ...oauthClient,
+      deviceCode: body.device_code,
+    });
+    expect(token.status).toBeGreaterThanOrEqual(400);
+    expect(token.body.error).toBe('access_denied');
+
+    const retry = await submitUserCode(
+      browser,
+      baseURL,
+      adminUser,
+      body.user_code,
+      'authorize',
+    );
+    expect(retry).toContain('already been decided');
+  });
+
+  test('should report expired_token for expired device codes', async ({
+    oauthClient,
+    request,
+  }) => {
+    const { body } = await requestDeviceAuthorization(request, oauthClient);
+
+    const expired = await execPhpInTestSite(
+      `
+$codes = \\Drupal::entityTypeManager()->getStorage("oauth2_device_code")->loadByProperties(["user_code" => $input]);
+foreach ($codes as $code) {
+  $code->set("expires_at", \\Drupal::time()->getRequestTime() - 60)->save();
+}
+echo json_encode(count($codes));
+`,
+      body.user_code,
+    );
+    expect(expired).toBe(1);
+
+    const token = await requestDeviceToken(request, {
+      ...oauthClient,
+      deviceCode: body.device_code,
+    });
+    expect(token.status).toBe(400);
+    expect(token.body.error).toBe('expired_token');
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const {
+  createAdminUser,
+  enableModule,
+  execPhpInTestSite,
+} = require('../utils/drush-helper');
+const { createUniqueAdminUser } = require('../utils/test-setup');
+const { resetDrushTarget } = require('../utils/drupal-site');
+
+/**
+ * Drush argument handling.
+ *
+ * Helpers pass fixture values to Drush as separate arguments, never through a
+ * shell. These tests point the helpers at a stand-in Drush that records the
+ * arguments it receives, so no Drupal site is needed.
+ */
+
+const FAKE_DRUSH = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_DRUSH_LOG, JSON.stringify(args) + '\\n');
+if (args[0] === 'php:eval') {
+  const match = args[1].match(/base64_decode\\("([^"]*)"\\), TRUE\\)/);
+  process.stdout.write(Buffer.from(match[1], 'base64').toString());
+}
+`;
+
+/**
+ * Awkward values that must reach Drush byte for byte.
+ */
+const HOSTILE_VALUES = {
+  quotes: `it's "quoted" \`back\``,
+  shell: '$(touch /tmp/pwned); rm -rf ~ && echo $HOME | cat > x',
+  whitespace: 'tab\there  two  spaces\nnewline',
+  unicode: 'Zoë 🔐 日本語 עִבְרִית',
+  backslashes: 'C:\\path\\to\\file \\" \\\\',
+};
+
+/**
+ * Read the argument lists recorded by the stand-in Drush.
+ *
+ * @param {string} log - Path of the log file
+ * @return {Array} One argument list per Drush call
+ */
+function readDrushCalls(log) {
+  return fs
+    .readFileSync(log, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+test.describe('Drush argument handling', () => {
+  const originalEnv = {};
+  let projectRoot;
+  let log;
+
+  test.beforeAll(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'drush-args-'));
+    fs.writeFileSync(
+      path.join(projectRoot, 'composer.json'),
+      JSON.stringify({ require: { 'drupal/core': '^11' } }),
+    );
+    fs.mkdirSync(path.join(projectRoot, 'vendor/bin'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'vendor/bin/drush'), FAKE_DRUSH, {
+      mode: 0o755,
+    });
+    log = path.join(projectRoot, 'drush.log');
+
+    ['DRUPAL_ROOT', 'DRUSH_BIN', 'DRUSH_WRAPPER', 'FAKE_DRUSH_LOG'].forEach(
+      name => {
+        originalEnv[name] = process.env[name];
+      },
+    );
+    process.env.DRUPAL_ROOT = projectRoot;
+    process.env.DRUSH_WRAPPER = 'none';
+    process.env.FAKE_DRUSH_LOG = log;
+    delete process.env.DRUSH_BIN;
+    resetDrushTarget();
+  });
+
+  test.afterAll(() => {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    resetDrushTarget();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test.beforeEach(() => {
+    fs.writeFileSync(log, '');
+  });
+
+  Object.entries(HOSTILE_VALUES).forEach(([name, value]) => {
+    test(`should pass ${name} to createAdminUser unchanged`, async () => {
+      const email = `${value}@example.com`;
+
+      await createAdminUser(value, value, email);
+
+      expect(readDrushCalls(log)).toEqual([
+        ['user:create', value, `--mail=${email}`, `--password=${value}`],
+        ['user:role:add', 'administrator', value],
+      ]);
+    });
+
+    test(`should pass ${name} to createUniqueAdminUser unchanged`, async () => {
+      const user = await createUniqueAdminUser(value);
+
+      expect(user.username).toContain(value);
+      expect(readDrushCalls(log)).toEqual([
+        [
+          'user:create',
+          user.username,
+          `--mail=${user.email}`,
+          `--password=${user.password}`,
+        ],
+        ['user:role:add', 'administrator', user.username],
+      ]);
+    });
+
+    test(`should pass ${name} to enableModule unchanged`, async () => {
+      expect(await enableModule(value)).toBe(true);
+
+      expect(readDrushCalls(log)).toEqual([['pm:enable', value, '-y']]);
+    });
+
+    test(`should round-trip ${name} through execPhpInTestSite`, async () => {
+      expect(await execPhpInTestSite('', { value })).toEqual({ value });
+    });
+  });
+});
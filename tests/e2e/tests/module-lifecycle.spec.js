@@ -0,0 +1,413 @@
+const { test, expect } = require('../fixtures/auth');
+const { restoreDatabaseForFile } = require('../fixtures/database');
+const { getAuthTag } = require('../utils/auth-state');
+const {
+  enableModule,
+  disableModule,
+  getInstalledModules,
+  execDrushInTestSite,
+  execPhpInTestSite,
+} = require('../utils/drush-helper');
+const { setConfig } = require('../utils/config-helper');
+const { getModuleCombination } = require('../utils/module-matrix');
+const { requestDeviceAuthorization } = require('../utils/oauth-flow-helper');
+const {
+  NATIVE_APP_FIELDS,
+  createConsumer,
+  getConsumer,
+  deleteConsumer,
+} = require('../utils/consumer-helper');
+const { registerClient } = require('../utils/client-registration-helper');
+const { PkceSettingsPage } = require('../pages/pkce-settings-page');
+const {
+  NativeAppsSettingsPage,
+} = require('../pages/native-apps-settings-page');
+const {
+  ClientRegistrationSettingsPage,
+} = require('../pages/client-registration-settings-page');
+const {
+  ServerMetadataSettingsPage,
+} = require('../pages/server-metadata-settings-page');
+const {
+  ENDPOINTS,
+  OAUTH_CONSUMERS,
+  OAUTH_SUBMODULES,
+  REDIRECT_URIS,
+  SELECTORS,
+} = require('../utils/constants');
+
+/**
+ * Install and uninstall lifecycle of every submodule.
+ *
+ * Each submodule is installed, configured through its settings form and
+ * given the data other parts of the site hold on its behalf: consumer base
+ * fields, per-consumer overrides, device codes and registered clients. After
+ * uninstalling it, its routes must be gone, its config and schema removed,
+ * consumers must still load without its fields and the compliance dashboard
+ * must report it as not installed. Installing it again must work.
+ *
+ * Uninstalling pulls routes from under any other running test, so the file
+ * only runs with a single worker, as on CI, and never in a module matrix
+ * project.
+ */
+
+const DASHBOARD_PATH = '/admin/config/people/simple_oauth/oauth-21';
+
+const SAVED_MESSAGE = 'The configuration options have been saved.';
+
+const DEVICE_FLOW_SETTINGS_PATH =
+  '/admin/config/people/simple_oauth/oauth-21/device-flow';
+
+/**
+ * Base fields simple_oauth_client_registration adds to consumers.
+ */
+const CLIENT_METADATA_FIELDS = [
+  'client_uri',
+  'logo_uri',
+  'contacts',
+  'tos_uri',
+  'policy_uri',
+  'jwks_uri',
+  'software_id',
+  'software_version',
+];
+
+/**
+ * Submit a settings form and check it was saved.
+ *
+ * @param {Object} form - SettingsFormPage on the changed form
+ */
+async function submitSettings(form) {
+  await form.submit();
+  expect(await form.getErrorMessages()).toEqual([]);
+  expect(await form.getStatusMessages()).toContainEqual(
+    expect.stringContaining(SAVED_MESSAGE),
+  );
+}
+
+/**
+ * Find what a submodule left in config and schema.
+ *
+ * @param {Object} lifecycle - Entry of LIFECYCLES
+ * @return {Object} Object with the config names starting with the module
+ *   name, and the consumer fields and tables of the entry still present
+ */
+async function getModuleLeftovers(lifecycle) {
+  return execPhpInTestSite(
+    `
+$schema = \\Drupal::database()->schema();
+$manager = \\Drupal::entityDefinitionUpdateManager();
+$fields = array_filter($input["fields"], fn ($field) =>
+  $manager->getFieldStorageDefinition($field, "consumer")
+  || $schema->fieldExists("consumer_field_data", $field)
+  || $schema->tableExists("consumer__" . $field));
+echo json_encode([
+  "config" => \\Drupal::configFactory()->listAll($input["module"] . "."),
+  "fields" => array_values($fields),
+  "tables" => array_values(array_filter($input["tables"], fn ($table) => $schema->tableExists($table))),
+]);
+`,
+    {
+      module: lifecycle.module,
+      fields: lifecycle.fields,
+      tables: lifecycle.tables,
+    },
+  );
+}
+
+/**
+ * Get the reasons Drupal gives for refusing to uninstall a module.
+ *
+ * @param {string} module - Module machine name
+ * @return {Array} Reasons, empty when the module can be uninstalled
+ */
+async function getUninstallReasons(module) {
+  return execPhpInTestSite(
+    'echo json_encode(array_map("strval", \\Drupal::service("module_installer")->validateUninstall([$input])[$input] ?? []));',
+    module,
+  );
+}
+
+/**
+ * Check the compliance dashboard rows of some RFCs.
+ *
+ * @param {Object} page - Playwright page logged in as an administrator
+ * @param {Array} rfcs - RFC identifiers, e.g. rfc_7636
+ * @param {string} status - Expected status indicator value, "enabled" or
+ *   "not-installed"
+ */
+async function expectDashboardStatus(page, rfcs, status) {
+  await page.goto(DASHBOARD_PATH);
+  for (const rfc of rfcs) {
+    const row = page
+      .locator(SELECTORS.compliance.rfcRow)
+      .filter({ hasText: rfc.toUpperCase() });
+    await expect(
+      row.locator(SELECTORS.compliance.statusIndicator),
+    ).toHaveAttribute('data-status', status);
+    if (status === 'not-installed') {
+      await expect(row.locator(SELECTORS.compliance.actions)).toContainText([
+        'Install Required',
+      ]);
+    }
+  }
+}
+
+/**
+ * Check every route of an uninstalled module is gone.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Array} routes - Site-relative paths
+ */
+async function expectRoutesGone(request, routes) {
+  for (const route of routes) {
+    const response = await request.get(route, { maxRedirects: 0 });
+    expect(response.status(), `GET ${route}`).toBe(404);
+  }
+}
+
+/**
+ * Check consumers survived an uninstall without the module's fields.
+ *
+ * @param {Array} clientIds - Client IDs of consumers created for the module
+ * @param {Array} fields - Consumer fields the module provided
+ */
+async function expectConsumersWithoutFields(clientIds, fields) {
+  for (const clientId of clientIds) {
+    const consumer = await getConsumer(clientId);
+    expect(consumer, `consumer ${clientId}`).not.toBeNull();
+    for (const field of fields) {
+      expect(consumer, `consumer ${clientId}`).not.toHaveProperty(field);
+    }
+  }
+}
+
+/**
+ * Submodule lifecycles, in OAUTH_SUBMODULES order.
+ *
+ * settingsPage(page) builds the page object of the settings form, if the
+ * submodule has one; configure() receives it, or null, and changes settings.
+ * routes lists the other paths the submodule serves. createData(request) creates dependent data and
+ * returns the client IDs of consumers it created. content names the entity
+ * type whose content blocks the uninstall until it is deleted.
+ */
+const LIFECYCLES = [
+  {
+    module: 'simple_oauth_pkce',
+    settingsPage: page => new PkceSettingsPage(page),
+    rfcs: ['rfc_7636'],
+    routes: [],
+    fields: [],
+    tables: [],
+    async configure(form) {
+      await form.goto();
+      await form.setEnforcement('optional');
+      await form.setMethods({ s256: true, plain: false });
+      await submitSettings(form);
+    },
+  },
+  {
+    module: 'simple_oauth_native_apps',
+    settingsPage: page => new NativeAppsSettingsPage(page),
+    rfcs: ['rfc_8252'],
+    routes: [],
+    fields: Object.values(NATIVE_APP_FIELDS),
+    tables: [],
+    async configure(form) {
+      await form.goto();
+      await form.setWebviewDetection('warn');
+      await form.setLoopbackRedirects('native');
+      await submitSettings(form);
+    },
+    async createData() {
+      const client = await createConsumer({
+        ...OAUTH_CONSUMERS.nativeCli,
+        nativeApp: {
+          ...OAUTH_CONSUMERS.nativeCli.nativeApp,
+          webviewDetection: 'off',
+        },
+      });
+      return [client.clientId];
+    },
+  },
+  {
+    module: 'simple_oauth_device_flow',
+    rfcs: ['rfc_8628'],
+    routes: [
+      DEVICE_FLOW_SETTINGS_PATH,
+      ENDPOINTS.deviceAuthorization,
+      ENDPOINTS.deviceVerification,
+    ],
+    fields: [],
+    tables: ['oauth2_device_code'],
+    content: { entityType: 'oauth2_device_code', label: 'OAuth2 Device Code' },
+    async configure() {
+      // The module has a settings route but no form yet.
+      await setConfig(
+        'simple_oauth_device_flow.settings',
+        'polling_interval',
+        10,
+      );
+    },
+    async createData(request) {
+      const client = await createConsumer(OAUTH_CONSUMERS.deviceTv);
+      const { status, body } = await requestDeviceAuthorization(
+        request,
+        client,
+      );
+      expect(status).toBe(200);
+      expect(body.device_code).toBeTruthy();
+      return [client.clientId];
+    },
+  },
+  {
+    module: 'simple_oauth_client_registration',
+    settingsPage: page => new ClientRegistrationSettingsPage(page),
+    rfcs: ['rfc_7591'],
+    routes: [ENDPOINTS.register],
+    fields: CLIENT_METADATA_FIELDS,
+    tables: ['simple_oauth_client_registration_tokens'],
+    async configure(form) {
+      await form.goto();
+      await form.setDefaultGrantTypes(['authorization_code']);
+      await submitSettings(form);
+    },
+    async createData(request) {
+      const { status, body } = await registerClient(request, {
+        client_name: 'E2E lifecycle client',
+        redirect_uris: [REDIRECT_URIS.spa],
+        client_uri: 'https://spa.example.com/',
+        contacts: ['e2e-lifecycle@example.com'],
+        software_id: 'e2e-lifecycle',
+      });
+      expect(status).toBe(200);
+      return [body.client_id];
+    },
+  },
+  {
+    module: 'simple_oauth_server_metadata',
+    // Uninstalled along with it.
+    dependents: ['simple_oauth_client_registration'],
+    settingsPage: page => new ServerMetadataSettingsPage(page),
+    rfcs: ['rfc_8414', 'rfc_7662'],
+    routes: [
+      ENDPOINTS.authorizationServerMetadata,
+      ENDPOINTS.protectedResourceMetadata,
+      ENDPOINTS.introspect,
+      ENDPOINTS.revoke,
+    ],
+    fields: [],
+    tables: [],
+    async configure(form) {
+      await form.goto();
+      await form.setUrl('service_documentation', 'https://docs.example.com/');
+      await submitSettings(form);
+    },
+  },
+];
+
+test.describe(
+  'Submodule install and uninstall lifecycle',
+  { tag: getAuthTag('admin') },
+  () => {
+    // Tests install and uninstall modules; keep them in one worker.
+    test.describe.configure({ mode: 'default' });
+    test.slow();
+
+    const clientIds = [];
+
+    // eslint-disable-next-line no-empty-pattern
+    test.beforeAll(async ({}, testInfo) => {
+      test.skip(
+        !!getModuleCombination(testInfo.project),
+        'Module matrix projects keep their module combination',
+      );
+      test.skip(
+        testInfo.config.workers > 1,
+        `Uninstalling modules would break tests in the other ${
+          testInfo.config.workers - 1
+        } workers`,
+      );
+    });
+
+    // Registered after the skip, so skipped runs neither wait for the lock
+    // nor restore.
+    restoreDatabaseForFile(test);
+
+    test.afterAll(async () => {
+      for (const module of OAUTH_SUBMODULES) {
+        await enableModule(module);
+      }
+      for (const clientId of clientIds) {
+        await deleteConsumer(clientId);
+      }
+    });
+
+    for (const lifecycle of LIFECYCLES) {
+      test(`should install and uninstall ${lifecycle.module} cleanly`, async ({
+        page,
+        request,
+      }) => {
+        const form = lifecycle.settingsPage
+          ? lifecycle.settingsPage(page)
+          : null;
+        const routes = form
+          ? [form.path, ...lifecycle.routes]
+          : lifecycle.routes;
+        const removed = [lifecycle.module, ...(lifecycle.dependents || [])];
+        let created = [];
+
+        await test.step('install', async () => {
+          expect(await enableModule(lifecycle.module)).toBe(true);
+          const leftovers = await getModuleLeftovers(lifecycle);
+          expect(leftovers.config).toContain(`${lifecycle.module}.settings`);
+          expect(leftovers.fields).toEqual(lifecycle.fields);
+          expect(leftovers.tables).toEqual(lifecycle.tables);
+          await expectDashboardStatus(page, lifecycle.rfcs, 'enabled');
+        });
+
+        await test.step('configure', async () => {
+          await lifecycle.configure(form);
+          if (lifecycle.createData) {
+            created = await lifecycle.createData(request);
+            clientIds.push(...created);
+          }
+        });
+
+        await test.step('uninstall', async () => {
+          if (lifecycle.content) {
+            expect(await getUninstallReasons(lifecycle.module)).toContainEqual(
+              expect.stringContaining(lifecycle.content.label),
+            );
+            await execDrushInTestSite([
+              'entity:delete',
+              lifecycle.content.entityType,
+            ]);
+          }
+          expect(await getUninstallReasons(lifecycle.module)).toEqual([]);
+          expect(await disableModule(lifecycle.module)).toBe(true);
+          expect(await getInstalledModules(removed)).toEqual([]);
+        });
+
+        await test.step('verify removal', async () => {
+          await expectRoutesGone(request, routes);
+          expect(await getModuleLeftovers(lifecycle)).toEqual({
+            config: [],
+            fields: [],
+            tables: [],
+          });
+          await expectConsumersWithoutFields(created, lifecycle.fields);
+          await expectDashboardStatus(page, lifecycle.rfcs, 'not-installed');
+        });
+
+        await test.step('reinstall', async () => {
+          expect(await enableModule(lifecycle.module)).toBe(true);
+          const leftovers = await getModuleLeftovers(lifecycle);
+          expect(leftovers.config).toContain(`${lifecycle.module}.settings`);
+          expect(leftovers.fields).toEqual(lifecycle.fields);
+          expect(leftovers.tables).toEqual(lifecycle.tables);
+        });
+      });
+    }
+  },
+);
@@ -0,0 +1,266 @@
+const { test, expect } = require('../fixtures/oauth');
+const { requireModules } = require('../utils/module-matrix');
+const {
+  generatePkcePair,
+  requestAuthorizationCode,
+} = require('../utils/oauth-flow-helper');
+const { startLoopbackListener } = require('../utils/loopback-listener');
+const { isNativeClient } = require('../utils/consumer-helper');
+const { REDIRECT_URIS } = require('../utils/constants');
+
+/**
+ * Native app redirect URI matrix (RFC 8252).
+ *
+ * Every combination of the per-consumer overrides offered by
+ * ConsumerNativeAppsFormAlter is tried against loopback, private-use scheme
+ * and claimed https redirect URIs. Loopback redirects are received by a real
+ * listener, so the suite proves the browser is actually sent back to the app.
+ *
+ * Expectations follow the settings form: "web" disallows the corresponding
+ * redirect type, "native" allows it and "auto-detect" allows it only when the
+ * site detects the consumer as a native client. Claimed https redirects are
+ * not restricted by either override.
+ */
+
+const OVERRIDE_VALUES = {
+  allowLoopback: ['auto-detect', 'native', 'web'],
+  allowCustomSchemes: ['auto-detect', 'native', 'web'],
+  enhancedPkceOverride: ['auto-detect', 'enhanced', 'not-enhanced'],
+};
+
+const REDIRECTS = [
+  { name: 'IPv4 loopback', type: 'loopback', host: '127.0.0.1' },
+  { name: 'IPv6 loopback', type: 'loopback', host: '::1' },
+  {
+    name: 'private-use scheme',
+    type: 'custom',
+    redirectUri: REDIRECT_URIS.privateUseScheme,
+  },
+  {
+    name: 'claimed https',
+    type: 'claimed',
+    redirectUri: REDIRECT_URIS.claimedHttps,
+  },
+];
+
+/**
+ * Build every combination of the override values.
+ *
+ * @return {Array} List of nativeApp option objects
+ */
+function buildOverrideMatrix() {
+  return Object.entries(OVERRIDE_VALUES).reduce(
+    (combinations, [key, values]) =>
+      combinations.flatMap(combination =>
+        values.map(value => ({ ...combination, [key]: value })),
+      ),
+    [{}],
+  );
+}
+
+/**
+ * Resolve an override value to whether it allows its redirect type.
+ *
+ * @param {string} value - Override value
+ * @param {boolean} isNative - Whether the consumer is detected as native
+ * @return {boolean} Whether the redirect type is allowed
+ */
+function resolveOverride(value, isNative) {
+  if (value === 'web') {
+    return false;
+  }
+  return value === 'native' || isNative;
+}
+
+/**
+ * Whether the settings form says a redirect type is allowed.
+ *
+ * @param {Object} redirect - Entry of REDIRECTS
+ * @param {Object} overrides - Consumer overrides
+ * @param {boolean} isNative - Whether the consumer is detected as native
+ * @return {boolean} Whether authorization should redirect back to the app
+ */
+function isRedirectAllowed(redirect, overrides, isNative) {
+  if (redirect.type === 'loopback') {
+    return resolveOverride(overrides.allowLoopback, isNative);
+  }
+  if (redirect.type === 'custom') {
+    return resolveOverride(overrides.allowCustomSchemes, isNative);
+  }
+  return true;
+}
+
+/**
+ * Outcomes the settings form promises for a consumer.
+ *
+ * @param {Array} redirects - Entries of REDIRECTS under test
+ * @param {Object} overrides - Consumer overrides
+ * @param {boolean} isNative - Whether the consumer is detected as native
+ * @return {Array} Expected outcomes in the order of the redirects
+ */
+function expectedOutcomes(redirects, overrides, isNative) {
+  return redirects.map(redirect => {
+    const allowed = isRedirectAllowed(redirect, overrides, isNative);
+    return { redirect: redirect.name, allowed, delivered: allowed };
+  });
+}
+
+/**
+ * Record redirects left out because their loopback listener did not start.
+ *
+ * @param {Object} unavailable - Error messages keyed by redirect name
+ */
+function annotateUnavailableRedirects(unavailable) {
+  Object.entries(unavailable).forEach(([name, message]) => {
+    test.info().annotations.push({
+      type: 'skipped redirect',
+      description: `${name}: ${message}`,
+    });
+  });
+}
+
+/**
+ * Request authorization with one redirect URI and record what happened.
+ *
+ * @param {Object} page - Authenticated Playwright page
+ * @param {Object} client - Consumer details
+ * @param {Object} redirect - Entry of REDIRECTS with a resolved redirectUri
+ * @return {Object} Object with redirect name, allowed and delivered flags
+ */
+async function tryRedirect(page, client, redirect) {
+  const pkce = generatePkcePair();
+  const result = await requestAuthorizationCode(page, {
+    clientId: client.clientId,
+    redirectUri: redirect.redirectUri,
+    codeChallenge: pkce.codeChallenge,
+    codeChallengeMethod: pkce.codeChallengeMethod,
+    interceptRedirect: redirect.type === 'claimed',
+  });
+
+  let delivered = Boolean(result.code);
+  if (result.code && redirect.listener) {
+    const received = await redirect.listener
+      .waitForRedirect()
+      .catch(() => null);
+    delivered =
+      Boolean(received) && received.searchParams.get('code') === result.code;
+  }
+
+  return { redirect: redirect.name, allowed: Boolean(result.code), delivered };
+}
+
+/**
+ * Try each redirect URI in turn.
+ *
+ * @param {Object} page - Authenticated Playwright page
+ * @param {Object} client - Consumer details
+ * @param {Array} redirects - Entries of REDIRECTS with resolved redirectUris
+ * @return {Array} Outcomes in the order of the redirects
+ */
+async function tryRedirects(page, client, redirects) {
+  return redirects.reduce(async (previous, redirect) => {
+    const outcomes = await previous;
+    return [...outcomes, await tryRedirect(page, client, redirect)];
+  }, Promise.resolve([]));
+}
+
+test.describe('Native App Redirect URIs (RFC 8252)', () => {
+  const listeners = {};
+  const unavailable = {};
+  let redirects;
+  let redirectUris;
+
+  requireModules(test, ['simple_oauth_native_apps']);
+
+  test.beforeAll(async () => {
+    const loopbackRedirects = REDIRECTS.filter(
+      item => item.type === 'loopback',
+    );
+    await Promise.all(
+      loopbackRedirects.map(async ({ name, host }) => {
+        try {
+          listeners[host] = await startLoopbackListener({ host });
+        } catch (error) {
+          // IPv6 may be unavailable on the test host.
+          unavailable[name] = `listener on ${host} failed: ${error.message}`;
+        }
+      }),
+    );
+    redirects = REDIRECTS.filter(
+      item => item.type !== 'loopback' || listeners[item.host],
+    ).map(item =>
+      item.type === 'loopback'
+        ? {
+            ...item,
+            listener: listeners[item.host],
+            redirectUri: listeners[item.host].redirectUri,
+          }
+        : item,
+    );
+    redirectUris = redirects.map(item => item.redirectUri);
+  });
+
+  test.afterAll(async () => {
+    await Promise.all(Object.values(listeners).map(item => item.close()));
+  });
+
+  buildOverrideMatrix().forEach(overrides => {
+    const label = Object.entries(overrides)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(', ');
+
+    test(`should honour ${label}`, async ({ adminPage, createOauthClient }) => {
+      annotateUnavailableRedirects(unavailable);
+      const client = await createOauthClient({
+        confidential: false,
+        automaticAuthorization: true,
+        redirectUris,
+        nativeApp: overrides,
+      });
+      const isNative = await isNativeClient(client.clientId);
+
+      const outcomes = await tryRedirects(adminPage, client, redirects);
+
+      expect(outcomes).toEqual(
+        expectedOutcomes(redirects, overrides, isNative),
+      );
+
+      if (overrides.enhancedPkceOverride === 'enhanced') {
+        // Claimed https redirects are always allowed, so only PKCE is tested.
+        const withoutPkce = await requestAuthorizationCode(adminPage, {
+          clientId: client.clientId,
+          redirectUri: REDIRECT_URIS.claimedHttps,
+          interceptRedirect: true,
+        });
+        expect(withoutPkce.code).toBeNull();
+        expect(withoutPkce.error).toBe('invalid_request');
+      }
+    });
+  });
+
+  test('should redirect to a loopback listener on any port', async ({
+    adminPage,
+    createOauthClient,
+  }) => {
+    // RFC 8252 Section 7.3: the port is chosen by the app at request time, so
+    // it is not part of the registered redirect URI match.
+    const redirect = redirects.find(item => item.host === '127.0.0.1');
+    expect(new URL(redirect.redirectUri).port).not.toBe(
+      new URL(REDIRECT_URIS.loopback).port,
+    );
+    const client = await createOauthClient({
+      confidential: false,
+      automaticAuthorization: true,
+      redirectUris: [REDIRECT_URIS.loopback],
+      nativeApp: { allowLoopback: 'native' },
+    });
+
+    const outcome = await tryRedirect(adminPage, client, redirect);
+
+    expect(outcome).toEqual({
+      redirect: redirect.name,
+      allowed: true,
+      delivered: true,
+    });
+  });
+});
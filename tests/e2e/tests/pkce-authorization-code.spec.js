@@ -0,0 +1,149 @@
+const { test, expect } = require('../fixtures/oauth');
+const { restoreDatabaseForFile } = require('../fixtures/database');
+const { getAuthTag } = require('../utils/auth-state');
+const { requireModules } = require('../utils/module-matrix');
+const { trackConfigChanges } = require('../utils/config-helper');
+const {
+  generatePkcePair,
+  requestAuthorizationCode,
+  exchangeAuthorizationCode,
+  runAuthorizationCodeFlow,
+} = require('../utils/oauth-flow-helper');
+const { OAUTH_CONSUMERS } = require('../utils/constants');
+
+/**
+ * Authorization code + PKCE flow driven through a real browser.
+ *
+ * Proves that the simple_oauth_pkce settings are enforced end-to-end:
+ * - A valid S256 verifier yields tokens
+ * - A wrong or missing verifier is rejected at the token endpoint
+ * - Mandatory enforcement rejects authorization requests without a challenge
+ * - Users whose only OAuth permission is granting consent can authorize
+ */
+
+restoreDatabaseForFile(test);
+
+test.describe('PKCE Authorization Code Flow', () => {
+  // Shared site settings; keep the tests in one worker.
+  test.describe.configure({ mode: 'default' });
+
+  const siteConfig = trackConfigChanges();
+
+  requireModules(test, ['simple_oauth_pkce']);
+  test.use({ oauthClientOptions: OAUTH_CONSUMERS.publicSpa });
+
+  test.beforeAll(async () => {
+    await siteConfig.set(
+      'simple_oauth_pkce.settings',
+      'enforcement',
+      'mandatory',
+    );
+    await siteConfig.set('simple_oauth_pkce.settings', 's256_enabled', true);
+  });
+
+  test.afterAll(async () => {
+    await siteConfig.restore();
+  });
+
+  test('should issue tokens for a valid S256 code verifier', async ({
+    adminPage,
+    adminUser,
+    oauthClient,
+  }) => {
+    const result = await runAuthorizationCodeFlow(adminPage, {
+      ...oauthClient,
+      user: adminUser,
+    });
+
+    expect(result.authorization.code).toBeTruthy();
+    expect(result.token.status).toBe(200);
+    expect(result.token.body.token_type).toBe('Bearer');
+    expect(result.token.body.access_token).toBeTruthy();
+  });
+
+  test('should reject a mismatched code verifier', async ({
+    adminPage,
+    oauthClient,
+  }) => {
+    const pkce = generatePkcePair();
+
+    const authorization = await requestAuthorizationCode(adminPage, {
+      ...oauthClient,
+      codeChallenge: pkce.codeChallenge,
+      codeChallengeMethod: pkce.codeChallengeMethod,
+    });
+    expect(authorization.code).toBeTruthy();
+
+    const token = await exchangeAuthorizationCode(adminPage.request, {
+      ...oauthClient,
+      code: authorization.code,
+      codeVerifier: generatePkcePair().codeVerifier,
+    });
+    expect(token.status).toBe(400);
+    expect(token.body.error).toBe('invalid_grant');
+  });
+
+  test('should reject a code exchange without a code verifier', async ({
+    adminPage,
+    oauthClient,
+  }) => {
+    const pkce = generatePkcePair();
+
+    const authorization = await requestAuthorizationCode(adminPage, {
+      ...oauthClient,
+      codeChallenge: pkce.codeChallenge,
+      codeChallengeMethod: pkce.codeChallengeMethod,
+    });
+    expect(authorization.code).toBeTruthy();
+
+    const token = await exchangeAuthorizationCode(adminPage.request, {
+      ...oauthClient,
+      code: authorization.code,
+    });
+    expect(token.status).toBe(400);
+    expect(token.body.error).toBe('invalid_request');
+  });
+
+  test('should reject authorization requests without a code challenge', async ({
+    adminPage,
+    oauthClient,
+  }) => {
+    const authorization = await requestAuthorizationCode(
+      adminPage,
+      oauthClient,
+    );
+    expect(authorization.code).toBeNull();
+    expect(authorization.error).toBe('invalid_request');
+  });
+});
+
+test.describe(
+  'PKCE Authorization Code Flow with consent-only users',
+  { tag: getAuthTag('consent') },
+  () => {
+    requireModules(test, ['simple_oauth_pkce']);
+    test.use({ oauthClientOptions: OAUTH_CONSUMERS.publicSpa });
+
+    test('should issue tokens after consent is granted', async ({
+      oauthClient,
+      page,
+    }) => {
+      const pkce = generatePkcePair();
+
+      const authorization = await requestAuthorizationCode(page, {
+        ...oauthClient,
+        codeChallenge: pkce.codeChallenge,
+        codeChallengeMethod: pkce.codeChallengeMethod,
+      });
+      expect(authorization.code).toBeTruthy();
+
+      const token = await exchangeAuthorizationCode(page.request, {
+        ...oauthClient,
+        code: authorization.code,
+        codeVerifier: pkce.codeVerifier,
+      });
+      expect(token.status).toBe(200);
+      expect(token.body.access_token).toBeTruthy();
+    });
+  },
+);
@@ -0,0 +1,243 @@
+const http = require('http');
+const { test, expect } = require('../fixtures/oauth');
+const { requireModules } = require('../utils/module-matrix');
+const { revokeToken } = require('../utils/token-helper');
+const { expectValidAccessToken } = require('../utils/jwt-helper');
+const {
+  createMockResourceServer,
+  getMockResourceServerUrl,
+} = require('../utils/mock-resource-server');
+const { ENDPOINTS, SCOPE_SETS } = require('../utils/constants');
+
+/**
+ * Client → authorization server → resource server chain.
+ *
+ * The mock resource server started by globalSetup trusts the Drupal site: it
+ * introspects every bearer token it receives and answers failures with
+ * RFC 6750 challenges that point clients at the protected resource metadata
+ * (RFC 9728) built by ResourceMetadataService.
+ */
+
+const [READ_SCOPE, WRITE_SCOPE] = SCOPE_SETS.resource;
+
+/**
+ * Parse the parameters of a Bearer WWW-Authenticate challenge.
+ *
+ * @param {string} header - WWW-Authenticate header value
+ * @return {Object} Challenge parameters keyed by name
+ */
+function parseChallenge(header) {
+  expect(header).toMatch(/^Bearer\b/);
+  return Object.fromEntries(
+    [...header.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [
+      key,
+      value,
+    ]),
+  );
+}
+
+/**
+ * Call the mock resource server.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {string} path - Resource path
+ * @param {string} token - Optional bearer token
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function getResource(request, path, token) {
+  const response = await request.get(`${getMockResourceServerUrl()}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return {
+    status: response.status(),
+    headers: response.headers(),
+    body: await response.json(),
+  };
+}
+
+/**
+ * Start an HTTP server on a free loopback port.
+ *
+ * @param {Object} server - Node HTTP server
+ * @return {string} Base URL of the server
+ */
+async function listen(server) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Stop an HTTP server started with listen().
+ *
+ * @param {Object} server - Node HTTP server
+ * @return {Promise} Resolves once the server is closed
+ */
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => {
+    server.close(() => resolve());
+  });
+}
+
+test.describe('Protected Resource Access', () => {
+  requireModules(test, ['simple_oauth_server_metadata']);
+
+  test('should serve public resources without a token', async ({ request }) => {
+    const { status } = await getResource(request, '/api/public');
+
+    expect(status).toBe(200);
+  });
+
+  test('should point unauthenticated clients at the resource metadata', async ({
+    request,
+  }) => {
+    const { status, headers } = await getResource(request, '/api/me');
+
+    expect(status).toBe(401);
+    const challenge = parseChallenge(headers['www-authenticate']);
+    expect(challenge.error).toBeUndefined();
+
+    const metadata = await request.get(challenge.resource_metadata);
+    expect(metadata.status()).toBe(200);
+    const { authorization_servers: servers } = await metadata.json();
+
+    // Both documents take the issuer from the same source, so compare the
+    // exact string rather than rebuilding it from the base URL.
+    const serverMetadata = await request.get(
+      ENDPOINTS.authorizationServerMetadata,
+    );
+    expect(serverMetadata.status()).toBe(200);
+    const { issuer } = await serverMetadata.json();
+    expect(servers).toContain(issuer);
+  });
+
+  test('should reject tokens the authorization server does not know', async ({
+    request,
+  }) => {
+    const { status, headers } = await getResource(
+      request,
+      '/api/me',
+      'invalid_token_value',
+    );
+
+    expect(status).toBe(401);
+    expect(parseChallenge(headers['www-authenticate']).error).toBe(
+      'invalid_token',
+    );
+  });
+
+  test('should stop accepting revoked tokens', async ({
+    oauthClient,
+    oauthTokens,
+    request,
+  }) => {
+    const accessToken = oauthTokens.access_token;
+
+    expect((await getResource(request, '/api/me', accessToken)).status).toBe(
+      200,
+    );
+
+    const revoked = await revokeToken(request, oauthClient, {
+      token: accessToken,
+      tokenTypeHint: 'access_token',
+    });
+    expect(revoked.status).toBe(200);
+
+    const { status, headers } = await getResource(
+      request,
+      '/api/me',
+      accessToken,
+    );
+    expect(status).toBe(401);
+    expect(parseChallenge(headers['www-authenticate']).error).toBe(
+      'invalid_token',
+    );
+  });
+});
+
+test.describe('Protected Resource Access with scoped tokens', () => {
+  test.use({
+    oauthClientOptions: { scopes: SCOPE_SETS.resource },
+    oauthTokenOptions: { scope: READ_SCOPE },
+  });
+
+  requireModules(test, ['simple_oauth_server_metadata']);
+
+  test('should grant access according to token scopes', async ({
+    adminUser,
+    oauthClient,
+    oauthTokens,
+    request,
+  }) => {
+    const accessToken = oauthTokens.access_token;
+    await expectValidAccessToken(accessToken, {
+      request,
+      clientId: oauthClient.clientId,
+      scopes: [READ_SCOPE],
+    });
+
+    const me = await getResource(request, '/api/me', accessToken);
+    expect(me.status).toBe(200);
+    expect(me.body).toMatchObject({
+      client_id: oauthClient.uuid,
+      username: adminUser.username,
+    });
+    expect(me.body.scope).toContain(READ_SCOPE);
+
+    const allowed = await getResource(
+      request,
+      `/api/scoped/${READ_SCOPE}`,
+      accessToken,
+    );
+    expect(allowed.status).toBe(200);
+
+    const denied = await getResource(
+      request,
+      `/api/scoped/${WRITE_SCOPE}`,
+      accessToken,
+    );
+    expect(denied.status).toBe(403);
+    expect(parseChallenge(denied.headers['www-authenticate'])).toMatchObject({
+      error: 'insufficient_scope',
+      scope: WRITE_SCOPE,
+    });
+  });
+});
+
+test.describe('Protected Resource Access when introspection fails', () => {
+  // Stands in for an authorization server that fails every request.
+  const authorizationServer = http.createServer((req, res) => {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Internal error' }));
+  });
+  let resourceServer;
+  let resourceServerUrl;
+
+  test.beforeAll(async () => {
+    resourceServer = createMockResourceServer({
+      authorizationServer: await listen(authorizationServer),
+    });
+    resourceServerUrl = await listen(resourceServer);
+  });
+
+  test.afterAll(async () => {
+    await Promise.all(
+      [resourceServer, authorizationServer].filter(Boolean).map(close),
+    );
+  });
+
+  test('should answer 503 rather than reject the token', async ({
+    request,
+  }) => {
+    const response = await request.get(`${resourceServerUrl}/api/me`, {
+      headers: { Authorization: 'Bearer some_token' },
+    });
+
+    expect(response.status()).toBe(503);
+    expect(response.headers()['www-authenticate']).toBeUndefined();
+    expect((await response.json()).error).toBe('temporarily_unavailable');
+  });
+});
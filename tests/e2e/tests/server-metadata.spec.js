@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { test, expect } = require('../fixtures/responses');
+const { requireModules } = require('../utils/module-matrix');
+const { ENDPOINTS, EXPECTED_METADATA } = require('../utils/constants');
+const {
+  validateMetadataDocuments,
+  validateAuthorizationServerMetadata,
+  compareMetadataDocuments,
+  formatMetadataReport,
+} = require('../utils/metadata-validator');
+const {
+  verifyJwtSignature,
+  expectValidAccessToken,
+} = require('../utils/jwt-helper');
+
+/**
+ * Discovery metadata validation for the /.well-known endpoints.
+ *
+ * Checks the documents built by ServerMetadataService,
+ * OpenIdConfigurationService and ResourceMetadataService against RFC 8414,
+ * RFC 9728 and OpenID Connect Discovery, and against each other. The
+ * metadata validator and the JWT verification helper, which relies on the
+ * advertised JWKS, are also tested offline against generated documents and
+ * keys.
+ */
+
+const ISSUER = 'https://example.com';
+
+/**
+ * Sign a JWT with RS256.
+ *
+ * @param {Object} header - JOSE header; alg defaults to RS256
+ * @param {Object} payload - Claims
+ * @param {crypto.KeyObject} privateKey - RSA private key
+ * @return {string} Compact serialized JWT
+ */
+function signJwt(header, payload, privateKey) {
+  const encode = value =>
+    Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'RS256', ...header })}.${encode(
+    payload,
+  )}`;
+  const signature = crypto.sign(
+    'sha256',
+    Buffer.from(signingInput),
+    privateKey,
+  );
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Build a stand-in for APIRequestContext that serves the authorization
+ * server metadata and a JWKS without a site.
+ *
+ * @param {Array} keys - JWKs served at the jwks_uri
+ * @return {Object} Object with a get() method like APIRequestContext
+ */
+function createOfflineRequest(keys) {
+  const documents = {
+    [ENDPOINTS.authorizationServerMetadata]: {
+      issuer: ISSUER,
+      jwks_uri: `${ISSUER}/oauth/jwks/${crypto.randomUUID()}`,
+    },
+  };
+  documents[documents[ENDPOINTS.authorizationServerMetadata].jwks_uri] = {
+    keys,
+  };
+
+  return {
+    async get(url) {
+      const document = documents[url];
+      return {
+        ok: () => !!document,
+        status: () => (document ? 200 : 404),
+        json: async () => document,
+      };
+    },
+  };
+}
+
+test.describe('Server Metadata Documents', () => {
+  requireModules(test, ['simple_oauth_server_metadata']);
+
+  test('should serve valid and consistent metadata documents', async ({
+    request,
+    baseURL,
+  }) => {
+    const report = await validateMetadataDocuments(request, { baseURL });
+
+    if (report.warnings.length) {
+      test.info().annotations.push({
+        type: 'metadata warnings',
+        description: formatMetadataReport(report),
+      });
+    }
+    expect(Object.keys(report.documents)).toHaveLength(3);
+    expect(report.errors, formatMetadataReport(report)).toHaveLength(0);
+  });
+});
+
+test.describe('Advertised capabilities', () => {
+  requireModules(test, [
+    'simple_oauth_server_metadata',
+    'simple_oauth_client_registration',
+    'simple_oauth_device_flow',
+  ]);
+
+  test('should advertise the expected OAuth 2.1 capabilities', async ({
+    request,
+  }) => {
+    const response = await request.get(ENDPOINTS.authorizationServerMetadata);
+    expect(response.status()).toBe(200);
+    const metadata = await response.json();
+
+    Object.entries(EXPECTED_METADATA.authorizationServer).forEach(
+      ([member, values]) => {
+        expect(metadata[member], member).toEqual(
+          expect.arrayContaining(values),
+        );
+      },
+    );
+    Object.entries(EXPECTED_METADATA.endpoints).forEach(([member, path]) => {
+      expect(metadata[member], member).toBeTruthy();
+      expect(new URL(metadata[member]).pathname, member).toBe(path);
+    });
+  });
+
+  test('should advertise the expected protected resource capabilities', async ({
+    request,
+  }) => {
+    const response = await request.get(ENDPOINTS.protectedResourceMetadata);
+    expect(response.status()).toBe(200);
+    const metadata = await response.json();
+
+    Object.entries(EXPECTED_METADATA.protectedResource).forEach(
+      ([member, values]) => {
+        expect(metadata[member], member).toEqual(
+          expect.arrayContaining(values),
+        );
+      },
+    );
+  });
+});
+
+test.describe('Metadata Validator', () => {
+  const validServer = {
+    issuer: 'https://example.com',
+    authorization_endpoint: 'https://example.com/oauth/authorize',
+    token_endpoint: 'https://example.com/oauth/token',
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256'],
+  };
+
+  test('should accept a minimal OAuth 2.1 document', () => {
+    expect(validateAuthorizationServerMetadata(validServer)).toEqual([]);
+  });
+
+  test('should report missing members, plain HTTP issuers and no S256', () => {
+    const findings = validateAuthorizationServerMetadata({
+      ...validServer,
+      issuer: 'http://example.com?tenant=1',
+      token_endpoint: undefined,
+      code_challenge_methods_supported: ['plain'],
+    });
+    const rules = findings.map(item => `${item.member}: ${item.rule}`);
+
+    expect(rules).toContain('token_endpoint: present and non-empty');
+    expect(rules).toContain('issuer: https scheme');
+    expect(rules).toContain('issuer: no query or fragment components');
+    expect(rules).toContain(
+      'code_challenge_methods_supported: contains "S256"',
+    );
+  });
+
+  test('should report inconsistencies between documents', () => {
+    const findings = compareMetadataDocuments({
+      'oauth-authorization-server': validServer,
+      'openid-configuration': {
+        ...validServer,
+        token_endpoint: 'https://example.com/other/token',
+      },
+      'oauth-protected-resource': {
+        resource: 'https://example.com',
+        authorization_servers: ['https://other.example.com'],
+      },
+    });
+
+    expect(findings.map(item => item.member)).toEqual([
+      'token_endpoint',
+      'authorization_servers',
+    ]);
+    expect(
+      formatMetadataReport({ findings, errors: findings, warnings: [] }),
+    ).toContain('+ "https://example.com/other/token"');
+  });
+});
+
+test.describe('JWT Verification', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const jwk = {
+    ...publicKey.export({ format: 'jwk' }),
+    kid: 'e2e-key',
+    alg: 'RS256',
+    use: 'sig',
+  };
+  const header = { kid: jwk.kid };
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: ISSUER,
+    aud: 'e2e-client',
+    iat: now,
+    exp: now + 300,
+    scope: ['read'],
+  };
+
+  test('should verify a token signed by the advertised key', async () => {
+    const token = signJwt(header, claims, privateKey);
+
+    expect(verifyJwtSignature(token, [jwk])).toBe(true);
+    expect(
+      await expectValidAccessToken(token, {
+        request: createOfflineRequest([jwk]),
+        clientId: 'e2e-client',
+        scopes: ['read'],
+      }),
+    ).toEqual(claims);
+  });
+
+  test('should reject a tampered payload', () => {
+    const [encodedHeader, , signature] = signJwt(
+      header,
+      claims,
+      privateKey,
+    ).split('.');
+    const payload = Buffer.from(
+      JSON.stringify({ ...claims, scope: ['read', 'admin'] }),
+    ).toString('base64url');
+
+    expect(
+      verifyJwtSignature(`${encodedHeader}.${payload}.${signature}`, [jwk]),
+    ).toBe(false);
+  });
+
+  test('should reject a token signed with an unknown kid', async () => {
+    const token = signJwt({ kid: 'rotated-key' }, claims, privateKey);
+
+    expect(verifyJwtSignature(token, [jwk])).toBe(false);
+    await expect(
+      expectValidAccessToken(token, { request: createOfflineRequest([jwk]) }),
+    ).rejects.toThrow('signature of RS256 token verifies against the JWKS');
+  });
+
+  test('should reject a token whose alg does not match the key', () => {
+    const signingInput = signJwt(
+      { ...header, alg: 'RS512' },
+      claims,
+      privateKey,
+    )
+      .split('.')
+      .slice(0, 2)
+      .join('.');
+    const signature = crypto.sign(
+      'sha512',
+      Buffer.from(signingInput),
+      privateKey,
+    );
+    const token = `${signingInput}.${signature.toString('base64url')}`;
+
+    expect(verifyJwtSignature(token, [jwk])).toBe(false);
+    expect(verifyJwtSignature(token, [{ ...jwk, alg: 'RS512' }])).toBe(true);
+    expect(verifyJwtSignature(token, [{ ...jwk, kty: 'EC' }])).toBe(false);
+  });
+
+  test('should reject a client_id claim for another client', async () => {
+    const token = signJwt(
+      header,
+      {
+        ...claims,
+        aud: ['e2e-client', 'other-client'],
+        client_id: 'other-client',
+      },
+      privateKey,
+    );
+
+    await expect(
+      expectValidAccessToken(token, {
+        request: createOfflineRequest([jwk]),
+        clientId: 'e2e-client',
+      }),
+    ).rejects.toThrow('client_id claim');
+  });
+
+  test('should reject an expired token', async () => {
+    const token = signJwt(
+      header,
+      { ...claims, iat: now - 3600, exp: now - 600 },
+      privateKey,
+    );
+
+    expect(verifyJwtSignature(token, [jwk])).toBe(true);
+    await expect(
+      expectValidAccessToken(token, { request: createOfflineRequest([jwk]) }),
+    ).rejects.toThrow('exp claim');
+  });
+});
@@ -0,0 +1,264 @@
+const { test, expect } = require('../fixtures/oauth');
+const { lockDatabaseForFile } = require('../fixtures/database');
+const { getAuthTag } = require('../utils/auth-state');
+const { requireModules } = require('../utils/module-matrix');
+const {
+  getConfig,
+  expectConfig,
+  trackConfigChanges,
+} = require('../utils/config-helper');
+const { PkceSettingsPage } = require('../pages/pkce-settings-page');
+const {
+  NativeAppsSettingsPage,
+} = require('../pages/native-apps-settings-page');
+const {
+  ClientRegistrationSettingsPage,
+} = require('../pages/client-registration-settings-page');
+const {
+  ServerMetadataSettingsPage,
+} = require('../pages/server-metadata-settings-page');
+const { requestDeviceAuthorization } = require('../utils/oauth-flow-helper');
+const { OAUTH_CONSUMERS, OAUTH_SUBMODULES } = require('../utils/constants');
+
+/**
+ * OAuth 2.1 submodule settings forms.
+ *
+ * Each form is driven through its page object as the saved admin session.
+ * Accepted submissions must reach the config object and be shown again after
+ * a reload; rejected ones must name the problem and leave the config alone.
+ * The device flow has no form yet; its config is set directly and checked
+ * against the device authorization response.
+ * Config changed here is put back after the file, and other workers run no
+ * tests until then.
+ */
+
+const SAVED_MESSAGE = 'The configuration options have been saved.';
+
+const CONFIG_NAMES = [
+  'simple_oauth_pkce.settings',
+  'simple_oauth_native_apps.settings',
+  'simple_oauth_device_flow.settings',
+  'simple_oauth_client_registration.settings',
+  'simple_oauth_server_metadata.settings',
+];
+
+lockDatabaseForFile(test);
+
+test.describe('OAuth 2.1 settings forms', { tag: getAuthTag('admin') }, () => {
+  // Tests share the settings config objects; keep them in one worker.
+  test.describe.configure({ mode: 'default' });
+  test.use({ oauthClientOptions: OAUTH_CONSUMERS.deviceTv });
+
+  const siteConfig = trackConfigChanges();
+
+  requireModules(test, OAUTH_SUBMODULES);
+
+  test.beforeAll(async () => {
+    for (const name of CONFIG_NAMES) {
+      await siteConfig.track(name);
+    }
+  });
+
+  test.afterAll(async () => {
+    await siteConfig.restore();
+  });
+
+  test('should save PKCE enforcement and challenge methods', async ({
+    page,
+  }) => {
+    const form = new PkceSettingsPage(page);
+    await form.goto();
+    await form.setEnforcement('optional');
+    await form.setMethods({ s256: true, plain: false });
+    await form.submit();
+
+    expect(await form.getStatusMessages()).toContainEqual(
+      expect.stringContaining(SAVED_MESSAGE),
+    );
+    expect(await form.getWarningMessages()).toContainEqual(
+      expect.stringContaining('consider setting enforcement to "Mandatory"'),
+    );
+    await expectConfig('simple_oauth_pkce.settings', {
+      enforcement: 'optional',
+      s256_enabled: true,
+      plain_enabled: false,
+    });
+
+    await form.goto();
+    expect(await form.getEnforcement()).toBe('optional');
+    expect(await form.getMethods()).toEqual({ s256: true, plain: false });
+  });
+
+  test('should require a PKCE challenge method unless PKCE is disabled', async ({
+    page,
+  }) => {
+    const form = new PkceSettingsPage(page);
+    const before = await getConfig('simple_oauth_pkce.settings');
+    await form.goto();
+    await form.setEnforcement('mandatory');
+    await form.setMethods({ s256: false, plain: false });
+    await form.submit();
+
+    expect(await form.getErrorMessages()).toContainEqual(
+      expect.stringContaining(
+        'At least one PKCE challenge method must be enabled',
+      ),
+    );
+    expect(await getConfig('simple_oauth_pkce.settings')).toEqual(before);
+  });
+
+  test('should save native app redirect and WebView policies', async ({
+    page,
+  }) => {
+    const form = new NativeAppsSettingsPage(page);
+    await form.goto();
+    await form.setWebviewDetection('warn');
+    await form.setWebviewWhitelist(['TrustedShell/1.0', 'KioskApp']);
+    await form.setLoopbackRedirects('native');
+    await form.setCustomUriSchemes('web');
+    await form.setEnhancedPkce('enhanced');
+    await form.setEnforcedMethod('S256');
+    await form.submit();
+
+    expect(await form.getErrorMessages()).toEqual([]);
+    expect(await form.getStatusMessages()).toContainEqual(
+      expect.stringContaining(SAVED_MESSAGE),
+    );
+    await expectConfig('simple_oauth_native_apps.settings', {
+      webview: {
+        detection: 'warn',
+        whitelist: ['TrustedShell/1.0', 'KioskApp'],
+      },
+      allow: { custom_uri_schemes: 'web', loopback_redirects: 'native' },
+      native: { enhanced_pkce: 'enhanced', enforce: 'S256' },
+    });
+
+    await form.goto();
+    expect(await form.getWebviewDetection()).toBe('warn');
+    expect(await form.getWebviewWhitelist()).toEqual([
+      'TrustedShell/1.0',
+      'KioskApp',
+    ]);
+    expect(await form.getLoopbackRedirects()).toBe('native');
+    expect(await form.getCustomUriSchemes()).toBe('web');
+  });
+
+  test('should reject enhanced PKCE without challenge method enforcement', async ({
+    page,
+  }) => {
+    const form = new NativeAppsSettingsPage(page);
+    const before = await getConfig('simple_oauth_native_apps.settings');
+    await form.goto();
+    await form.setEnhancedPkce('enhanced');
+    await form.setEnforcedMethod('off');
+    await form.submit();
+
+    // ConfigurationValidator reports the conflict for the whole form.
+    expect(await form.getErrorMessages()).toContainEqual(
+      expect.stringContaining(
+        'Enhanced PKCE is enabled but challenge method enforcement is off',
+      ),
+    );
+    expect(await getConfig('simple_oauth_native_apps.settings')).toEqual(
+      before,
+    );
+  });
+
+  test('should save default grant types for registered clients', async ({
+    page,
+  }) => {
+    const form = new ClientRegistrationSettingsPage(page);
+    await form.goto();
+    await form.setDefaultGrantTypes(['authorization_code']);
+    await form.submit();
+
+    expect(await form.getStatusMessages()).toContainEqual(
+      expect.stringContaining(SAVED_MESSAGE),
+    );
+    const saved = await getConfig('simple_oauth_client_registration.settings');
+    expect(Object.values(saved.default_grant_types)).toContain(
+      'authorization_code',
+    );
+    expect(Object.values(saved.default_grant_types)).not.toContain(
+      'refresh_token',
+    );
+
+    await form.goto();
+    expect(await form.getDefaultGrantTypes()).toEqual(['authorization_code']);
+  });
+
+  test('should save advertised server metadata', async ({ page }) => {
+    const form = new ServerMetadataSettingsPage(page);
+    await form.goto();
+    await form.setUrl('service_documentation', 'https://docs.example.com/');
+    await form.setUiLocales(['en-US', 'fr-FR']);
+    await form.setSigningAlgorithms(['ES256']);
+    await form.setResponseTypes(['code']);
+    await form.submit();
+
+    expect(await form.getStatusMessages()).toContainEqual(
+      expect.stringContaining(SAVED_MESSAGE),
+    );
+    await expectConfig('simple_oauth_server_metadata.settings', {
+      service_documentation: 'https://docs.example.com/',
+      ui_locales_supported: ['en-US', 'fr-FR'],
+      additional_signing_algorithms: ['ES256'],
+      response_types_supported: ['code'],
+    });
+
+    await form.goto();
+    expect(await form.getUrl('service_documentation')).toBe(
+      'https://docs.example.com/',
+    );
+    expect(await form.getUiLocales()).toEqual(['en-US', 'fr-FR']);
+    expect(await form.getResponseTypes()).toEqual(['code']);
+  });
+
+  test('should reject invalid server metadata values', async ({ page }) => {
+    const form = new ServerMetadataSettingsPage(page);
+    const before = await getConfig('simple_oauth_server_metadata.settings');
+    await form.goto();
+    await form.setUiLocales(['en_US']);
+    await form.setSigningAlgorithms(['none']);
+    await form.setResponseTypes([]);
+    await form.submit();
+
+    const errors = (await form.getErrorMessages()).join('\n');
+    expect(errors).toContain('Invalid locale format: en_US');
+    expect(errors).toContain('Invalid signing algorithm: none');
+    expect(errors).toContain('At least one response type must be selected');
+    expect(await form.hasFieldError('ui_locales_supported')).toBe(true);
+    expect(await getConfig('simple_oauth_server_metadata.settings')).toEqual(
+      before,
+    );
+  });
+
+  test('should apply device flow settings', async ({
+    oauthClient,
+    request,
+  }) => {
+    // The device flow has no settings form yet, so set its config directly.
+    await siteConfig.set(
+      'simple_oauth_device_flow.settings',
+      'polling_interval',
+      10,
+    );
+    await siteConfig.set(
+      'simple_oauth_device_flow.settings',
+      'device_code_expiration',
+      900,
+    );
+    await expectConfig('simple_oauth_device_flow.settings', {
+      polling_interval: 10,
+      device_code_expiration: 900,
+    });
+
+    const { status, body } = await requestDeviceAuthorization(
+      request,
+      oauthClient,
+    );
+    expect(status).toBe(200);
+    expect(body.interval).toBe(10);
+    expect(body.expires_in).toBe(900);
+  });
+});
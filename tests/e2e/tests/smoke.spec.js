@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+const { ENDPOINTS } = require('../utils/constants');
+
+/**
+ * Reachability checks for the Drupal site under test.
+ *
+ * Runs in the "smoke" project, which every other project depends on, so a
+ * site that is down or misconfigured stops the run with one clear failure
+ * instead of a failure in every spec. Only HTTP requests are made; no
+ * browser is launched and nothing on the site is changed.
+ */
+
+test.describe('Drupal site reachability', () => {
+  test('should serve the login form', async ({ request, baseURL }) => {
+    const response = await request.get('/user/login');
+
+    expect(
+      response.status(),
+      `GET ${baseURL}/user/login; is DRUPAL_BASE_URL correct?`,
+    ).toBe(200);
+    const body = await response.text();
+    expect(body).toContain('name="name"');
+    expect(body).toContain('name="pass"');
+  });
+
+  test('should serve authorization server metadata', async ({
+    request,
+    baseURL,
+  }) => {
+    const response = await request.get(ENDPOINTS.authorizationServerMetadata);
+
+    expect(
+      response.status(),
+      `GET ${baseURL}${ENDPOINTS.authorizationServerMetadata}; is simple_oauth_server_metadata enabled?`,
+    ).toBe(200);
+    expect(response.headers()['content-type']).toContain('application/json');
+    const metadata = await response.json();
+    expect(metadata.issuer).toBeTruthy();
+  });
+});
@@ -0,0 +1,255 @@
+const { test, expect } = require('../fixtures/oauth');
+const { requireModules } = require('../utils/module-matrix');
+const { runAuthorizationCodeFlow } = require('../utils/oauth-flow-helper');
+const {
+  CLIENT_AUTH_METHODS,
+  introspectToken,
+  revokeToken,
+} = require('../utils/token-helper');
+const { ENDPOINTS, OAUTH_CONSUMERS, UTILS } = require('../utils/constants');
+
+/**
+ * Token introspection (RFC 7662) and revocation (RFC 7009) round trips.
+ *
+ * Tokens come from a real authorization code flow and are sent exactly as
+ * issued to the client. Introspection is called with the resource owner's
+ * bearer token; revocation is called once per client authentication method
+ * advertised in the server metadata.
+ */
+
+let advertisedMethods;
+
+/**
+ * Fetch the client authentication methods advertised for revocation.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @return {Array} Advertised authentication methods
+ */
+async function getAdvertisedAuthMethods(request) {
+  if (!advertisedMethods) {
+    const response = await request.get(ENDPOINTS.authorizationServerMetadata);
+    const metadata = await response.json();
+    advertisedMethods =
+      metadata.revocation_endpoint_auth_methods_supported ||
+      metadata.token_endpoint_auth_methods_supported ||
+      [];
+  }
+  return advertisedMethods;
+}
+
+/**
+ * Declare the revocation round trip for one client authentication method.
+ *
+ * @param {string} authMethod - Key of CLIENT_AUTH_METHODS
+ */
+function describeRevocation(authMethod) {
+  test.describe(authMethod, () => {
+    test.use({
+      oauthClientOptions:
+        authMethod === 'none'
+          ? OAUTH_CONSUMERS.publicSpa
+          : OAUTH_CONSUMERS.confidentialBackend,
+    });
+
+    test('should deactivate revoked tokens', async ({
+      adminPage,
+      adminUser,
+      oauthClient,
+      oauthTokens,
+      request,
+    }) => {
+      const methods = await getAdvertisedAuthMethods(request);
+      test.skip(
+        !methods.includes(authMethod),
+        `${authMethod} is not advertised`,
+      );
+
+      const accessToken = oauthTokens.access_token;
+      const refreshToken = oauthTokens.refresh_token;
+
+      // A second token for the same user keeps introspection authenticated
+      // once the first access token is revoked.
+      const inspector = await runAuthorizationCodeFlow(adminPage, {
+        ...oauthClient,
+        user: adminUser,
+      });
+      const bearer = inspector.token.body.access_token;
+
+      const active = await introspectToken(request, {
+        token: accessToken,
+        bearer,
+      });
+      expect(active.status).toBe(200);
+      expect(active.body).toMatchObject({
+        active: true,
+        client_id: oauthClient.uuid,
+        username: adminUser.username,
+        token_type: 'Bearer',
+      });
+      expect(active.body.exp).toBeGreaterThan(active.body.iat);
+
+      const activeRefresh = await introspectToken(request, {
+        token: refreshToken,
+        tokenTypeHint: 'refresh_token',
+        bearer,
+      });
+      expect(activeRefresh.body).toMatchObject({
+        active: true,
+        client_id: oauthClient.uuid,
+        username: adminUser.username,
+      });
+
+      const revokedRefresh = await revokeToken(request, oauthClient, {
+        token: refreshToken,
+        tokenTypeHint: 'refresh_token',
+        authMethod,
+      });
+      expect(revokedRefresh.status).toBe(200);
+      const revokedAccess = await revokeToken(request, oauthClient, {
+        token: accessToken,
+        tokenTypeHint: 'access_token',
+        authMethod,
+      });
+      expect(revokedAccess.status).toBe(200);
+
+      const inactive = await introspectToken(request, {
+        token: accessToken,
+        bearer,
+      });
+      expect(inactive.body).toEqual({ active: false });
+      const inactiveRefresh = await introspectToken(request, {
+        token: refreshToken,
+        bearer,
+      });
+      expect(inactiveRefresh.body).toEqual({ active: false });
+    });
+  });
+}
+
+test.describe('Token Introspection and Revocation', () => {
+  requireModules(test, ['simple_oauth_server_metadata']);
+  test.use({ oauthClientOptions: OAUTH_CONSUMERS.confidentialBackend });
+
+  test('should only advertise client authentication methods we can test', async ({
+    request,
+  }) => {
+    const methods = await getAdvertisedAuthMethods(request);
+
+    expect(methods.length).toBeGreaterThan(0);
+    methods.forEach(method => {
+      expect(Object.keys(CLIENT_AUTH_METHODS)).toContain(method);
+    });
+  });
+
+  Object.keys(CLIENT_AUTH_METHODS).forEach(describeRevocation);
+
+  test('should introspect the bearer token it is authenticated with', async ({
+    adminUser,
+    oauthTokens,
+    request,
+  }) => {
+    const { body } = await introspectToken(request, {
+      token: oauthTokens.access_token,
+      bearer: oauthTokens.access_token,
+    });
+
+    expect(body).toMatchObject({
+      active: true,
+      username: adminUser.username,
+    });
+  });
+
+  test('should report revocation of unknown tokens as success', async ({
+    oauthClient,
+    request,
+  }) => {
+    const { status } = await revokeToken(request, oauthClient, {
+      token: UTILS.generateUniqueId(),
+    });
+
+    expect(status).toBe(200);
+  });
+});
+
+test.describe('Token Introspection and Revocation errors', () => {
+  requireModules(test, ['simple_oauth_server_metadata']);
+  test.use({ oauthClientOptions: OAUTH_CONSUMERS.confidentialBackend });
+
+  test('should require a bearer token for introspection', async ({
+    request,
+  }) => {
+    const { status, headers, body } = await introspectToken(request, {
+      token: UTILS.generateUniqueId(),
+    });
+
+    expect(status).toBe(401);
+    expect(headers['www-authenticate']).toMatch(/^Bearer/);
+    expect(body).toEqual({
+      error: 'invalid_client',
+      error_description: 'Authentication required',
+    });
+  });
+
+  test('should reject invalid bearer tokens with an RFC 7662 error', async ({
+    request,
+  }) => {
+    const { status, headers, body } = await introspectToken(request, {
+      token: UTILS.generateUniqueId(),
+      bearer: 'invalid_token_value',
+    });
+
+    expect(status).toBe(401);
+    expect(headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+    expect(headers['cache-control']).toContain('no-store');
+    expect(headers.pragma).toBe('no-cache');
+    expect(body).toEqual({
+      error: 'invalid_client',
+      error_description: 'Bearer token authentication failed',
+    });
+  });
+
+  test('should only accept POST for introspection', async ({ request }) => {
+    const response = await request.get(ENDPOINTS.introspect);
+
+    expect(response.status()).toBe(405);
+    expect(response.headers().allow).toBe('POST');
+    expect((await response.json()).error).toBe('invalid_request');
+  });
+
+  test('should reject revocation without valid client credentials', async ({
+    oauthClient,
+    request,
+  }) => {
+    const anonymous = await revokeToken(
+      request,
+      { clientId: '' },
+      { token: UTILS.generateUniqueId(), authMethod: 'none' },
+    );
+    const wrongSecret = await revokeToken(
+      request,
+      { ...oauthClient, clientSecret: 'wrong-secret' },
+      { token: UTILS.generateUniqueId(), authMethod: 'client_secret_basic' },
+    );
+    const missingSecret = await revokeToken(request, oauthClient, {
+      token: UTILS.generateUniqueId(),
+      authMethod: 'none',
+    });
+
+    [anonymous, wrongSecret, missingSecret].forEach(({ status, body }) => {
+      expect(status).toBe(401);
+      expect(body.error).toBe('invalid_client');
+    });
+  });
+
+  test('should require the token parameter for revocation', async ({
+    oauthClient,
+    request,
+  }) => {
+    const { status, body } = await revokeToken(request, oauthClient, {
+      token: '',
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('invalid_request');
+  });
+});
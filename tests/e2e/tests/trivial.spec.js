@@ -1,4 +1,5 @@
 const { test, expect } = require('@playwright/test');
+const { getFixtureSiteUrl } = require('../utils/fixture-site');
 
 /**
  * Trivial E2E test to validate Playwright infrastructure.
@@ -12,8 +13,8 @@ const { test, expect } = require('@playwright/test');
 
 test.describe('Playwright Infrastructure Validation', () => {
   test('should load a basic webpage', async ({ page }) => {
-    // Navigate to the base URL (fallback to a reliable test endpoint)
-    const baseUrl = process.env.DDEV_PRIMARY_URL || 'https://httpbin.org/html';
+    // Navigate to the base URL (fallback to the local fixture site)
+    const baseUrl = process.env.DDEV_PRIMARY_URL || getFixtureSiteUrl();
     await page.goto(baseUrl);
 
     // Wait for page to be fully loaded
@@ -43,7 +44,7 @@ test.describe('Playwright Infrastructure Validation', () => {
   });
 
   test('should handle basic page interactions', async ({ page }) => {
-    const baseUrl = process.env.DDEV_PRIMARY_URL || 'https://httpbin.org/html';
+    const baseUrl = process.env.DDEV_PRIMARY_URL || getFixtureSiteUrl();
     await page.goto(baseUrl);
 
     // Test screenshot capability
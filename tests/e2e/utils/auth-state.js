@@ -0,0 +1,217 @@
+/**
+ * @file
+ * Saved login sessions for role-based E2E users.
+ *
+ * globalSetup logs each user in AUTH_ROLES in once and saves its Playwright
+ * storageState under playwright/.auth. The matching project in
+ * playwright.config.js runs tests tagged with getAuthTag(role) using that
+ * state, and the auth fixture logs in again when a saved session has expired.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { request: playwrightRequest } = require('@playwright/test');
+const { execDrushInTestSite } = require('./drush-helper');
+const { loginUser } = require('./test-setup');
+
+/**
+ * Users with a saved session, keyed by role name.
+ *
+ * Custom roles are created on the fly with the listed permissions.
+ */
+const AUTH_ROLES = {
+  admin: { roles: ['administrator'], permissions: [] },
+  authenticated: { roles: [], permissions: [] },
+  consent: {
+    roles: ['e2e_oauth_consent'],
+    permissions: ['grant simple_oauth codes'],
+  },
+};
+
+/**
+ * Directory holding storageState files and the matching credentials.
+ */
+const AUTH_STATE_DIR = path.resolve(__dirname, '../../../playwright/.auth');
+
+/**
+ * Get the test tag that selects a role's project.
+ *
+ * @param {string} role - Key of AUTH_ROLES
+ * @return {string} Tag, e.g. "@as-admin"
+ */
+function getAuthTag(role) {
+  return `@as-${role}`;
+}
+
+/**
+ * Get the storageState file of a role.
+ *
+ * @param {string} role - Key of AUTH_ROLES
+ * @return {string} Absolute path of the storageState file
+ */
+function getStorageStatePath(role) {
+  return path.join(AUTH_STATE_DIR, `${role}.json`);
+}
+
+/**
+ * Find the role whose storageState file is given.
+ *
+ * @param {string} storageState - Path of a storageState file
+ * @return {string|null} Key of AUTH_ROLES, or null for other files
+ */
+function getRoleForStorageState(storageState) {
+  return (
+    Object.keys(AUTH_ROLES).find(
+      role => getStorageStatePath(role) === storageState,
+    ) || null
+  );
+}
+
+/**
+ * Get the path of the credentials saved next to a role's storageState.
+ *
+ * @param {string} role - Key of AUTH_ROLES
+ * @return {string} Absolute path of the credentials file
+ */
+function getCredentialsPath(role) {
+  return path.join(AUTH_STATE_DIR, `${role}.user.json`);
+}
+
+/**
+ * Create or reset the user of a role.
+ *
+ * The user keeps a fixed name across runs; its password is replaced so the
+ * saved credentials are always current.
+ *
+ * @param {string} role - Key of AUTH_ROLES
+ * @return {Object} User credentials
+ */
+async function ensureRoleUser(role) {
+  const { roles, permissions } = AUTH_ROLES[role];
+  const username = `e2e_${role}`;
+  const password = crypto.randomBytes(12).toString('hex');
+  const email = `${username}@example.com`;
+
+  try {
+    await execDrushInTestSite([
+      'user:create',
+      username,
+      `--mail=${email}`,
+      `--password=${password}`,
+    ]);
+  } catch (error) {
+    // The user exists from an earlier run.
+    await execDrushInTestSite(['user:password', username, password]);
+  }
+
+  for (const roleName of roles) {
+    if (permissions.length) {
+      await execDrushInTestSite(['role:create', roleName]).catch(() => {
+        // The role exists from an earlier run.
+      });
+      await execDrushInTestSite([
+        'role:perm:add',
+        roleName,
+        permissions.join(','),
+      ]);
+    }
+    await execDrushInTestSite(['user:role:add', roleName, username]);
+  }
+
+  return { username, password, email };
+}
+
+/**
+ * Log a user in through the browser and save the session.
+ *
+ * @param {Object} browser - Playwright Browser
+ * @param {string} baseURL - Drupal base URL
+ * @param {string} role - Key of AUTH_ROLES
+ * @param {Object} user - Credentials of the role's user
+ * @return {string} Path of the storageState file
+ */
+async function saveStorageState(browser, baseURL, role, user) {
+  const context = await browser.newContext({ baseURL });
+  try {
+    const page = await context.newPage();
+    await page.goto('/user/login');
+    await loginUser(page, user);
+    await page.waitForURL(url => !url.pathname.startsWith('/user/login'));
+
+    fs.mkdirSync(AUTH_STATE_DIR, { recursive: true });
+    fs.writeFileSync(getCredentialsPath(role), JSON.stringify(user));
+    return await context.storageState({ path: getStorageStatePath(role) });
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Create every role's user and save its session.
+ *
+ * @param {Object} browser - Playwright Browser
+ * @param {string} baseURL - Drupal base URL
+ */
+async function prepareStorageStates(browser, baseURL) {
+  for (const role of Object.keys(AUTH_ROLES)) {
+    const user = await ensureRoleUser(role);
+    await saveStorageState(browser, baseURL, role, user);
+  }
+}
+
+/**
+ * Check whether a saved session is still logged in.
+ *
+ * Drupal redirects /user to the account page for authenticated users and
+ * shows the login form to anonymous ones.
+ *
+ * @param {string} baseURL - Drupal base URL
+ * @param {string} role - Key of AUTH_ROLES
+ * @return {boolean} Whether the session is valid
+ */
+async function isStorageStateValid(baseURL, role) {
+  const storageState = getStorageStatePath(role);
+  if (!fs.existsSync(storageState)) {
+    return false;
+  }
+
+  const context = await playwrightRequest.newContext({ baseURL, storageState });
+  try {
+    const response = await context.get('/user', { maxRedirects: 0 });
+    return response.status() >= 300 && response.status() < 400;
+  } finally {
+    await context.dispose();
+  }
+}
+
+/**
+ * Log a role in again if its saved session has expired.
+ *
+ * @param {Object} browser - Playwright Browser
+ * @param {string} baseURL - Drupal base URL
+ * @param {string} role - Key of AUTH_ROLES
+ */
+async function refreshStorageState(browser, baseURL, role) {
+  if (await isStorageStateValid(baseURL, role)) {
+    return;
+  }
+
+  const credentials = getCredentialsPath(role);
+  const user = fs.existsSync(credentials)
+    ? JSON.parse(fs.readFileSync(credentials, 'utf8'))
+    : await ensureRoleUser(role);
+  await saveStorageState(browser, baseURL, role, user);
+}
+
+module.exports = {
+  AUTH_ROLES,
+  AUTH_STATE_DIR,
+  getAuthTag,
+  getStorageStatePath,
+  getRoleForStorageState,
+  ensureRoleUser,
+  prepareStorageStates,
+  isStorageStateValid,
+  refreshStorageState,
+};
@@ -0,0 +1,147 @@
+/**
+ * @file
+ * Dynamic Client Registration utilities for E2E tests.
+ *
+ * Wraps the RFC 7591 registration endpoint and the RFC 7592 client
+ * configuration endpoint provided by simple_oauth_client_registration. All
+ * helpers take a Playwright APIRequestContext, so they work without a page.
+ */
+
+const { ENDPOINTS } = require('./constants');
+
+/**
+ * Send a JSON request and parse the JSON response.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint path
+ * @param {Object} options - Optional data (object or raw string) and token
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function sendJson(request, method, url, options = {}) {
+  const headers = { Accept: 'application/json' };
+  if (options.data !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (options.token) {
+    headers.Authorization = `Bearer ${options.token}`;
+  }
+
+  const response = await request.fetch(url, {
+    method,
+    headers,
+    data: options.data,
+    failOnStatusCode: false,
+  });
+  const text = await response.text();
+  let body = null;
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = { raw: text };
+    }
+  }
+
+  return { status: response.status(), headers: response.headers(), body };
+}
+
+/**
+ * Build the client configuration endpoint path for a client.
+ *
+ * @param {string} clientId - Registered client ID
+ * @return {string} Site-relative client configuration endpoint
+ */
+function getClientConfigurationPath(clientId) {
+  return `${ENDPOINTS.register}/${encodeURIComponent(clientId)}`;
+}
+
+/**
+ * Register a client (RFC 7591 Section 3.1).
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object|string} metadata - Client metadata, or a raw request body
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function registerClient(request, metadata) {
+  return sendJson(request, 'POST', ENDPOINTS.register, { data: metadata });
+}
+
+/**
+ * Read a client's registration (RFC 7592 Section 2.1).
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} registration - Object with client_id and
+ *   registration_access_token, as returned by registerClient()
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function readClient(request, registration) {
+  return sendJson(
+    request,
+    'GET',
+    getClientConfigurationPath(registration.client_id),
+    { token: registration.registration_access_token },
+  );
+}
+
+/**
+ * Update a client's registration (RFC 7592 Section 2.2).
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} registration - Object with client_id and
+ *   registration_access_token
+ * @param {Object} metadata - Client metadata to send
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function updateClient(request, registration, metadata) {
+  return sendJson(
+    request,
+    'PUT',
+    getClientConfigurationPath(registration.client_id),
+    {
+      token: registration.registration_access_token,
+      data: { client_id: registration.client_id, ...metadata },
+    },
+  );
+}
+
+/**
+ * Delete a client's registration (RFC 7592 Section 2.3).
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} registration - Object with client_id and
+ *   registration_access_token
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function deleteClient(request, registration) {
+  return sendJson(
+    request,
+    'DELETE',
+    getClientConfigurationPath(registration.client_id),
+    { token: registration.registration_access_token },
+  );
+}
+
+/**
+ * Convert a registration response into OAuth flow options.
+ *
+ * @param {Object} registration - Registration response body
+ * @return {Object} Object with clientId, clientSecret and redirectUri
+ */
+function toFlowClient(registration) {
+  return {
+    clientId: registration.client_id,
+    clientSecret: registration.client_secret,
+    redirectUri: registration.redirect_uris[0],
+  };
+}
+
+module.exports = {
+  sendJson,
+  getClientConfigurationPath,
+  registerClient,
+  readClient,
+  updateClient,
+  deleteClient,
+  toFlowClient,
+};
@@ -0,0 +1,169 @@
+/**
+ * @file
+ * Configuration read, write and restore helpers for E2E tests.
+ *
+ * Values are read with `drush config:get` and written with
+ * `drush config:set --input-format=yaml`, so booleans, numbers and lists keep
+ * their types. Changes made through trackConfigChanges() can be put back in
+ * one call, which the siteConfig fixture does after every test.
+ */
+
+const { expect } = require('@playwright/test');
+const { execDrushInTestSite, execPhpInTestSite } = require('./drush-helper');
+
+/**
+ * Parse a YAML scalar as printed by Drush.
+ *
+ * @param {string} value - Scalar text
+ * @return {*} Typed value
+ */
+function parseYamlScalar(value) {
+  const text = value.trim();
+  if (text === '' || text === 'null' || text === '~') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  const quoted = text.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return quoted[1] === "'" ? quoted[2].replace(/''/g, "'") : JSON.parse(text);
+  }
+  return text;
+}
+
+/**
+ * Parse the output of `drush config:get`.
+ *
+ * JSON is expected; YAML is accepted for flat output, which is what Drush
+ * prints for a single key when --format is ignored.
+ *
+ * @param {string} output - Command output
+ * @return {Object} Parsed data
+ */
+function parseConfigOutput(output) {
+  try {
+    return JSON.parse(output);
+  } catch (error) {
+    const data = {};
+    output
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .forEach(line => {
+        const match = line.match(/^(['"]?)(.+?)\1:(?:\s+(.*))?$/);
+        if (!match || /^\s/.test(line)) {
+          throw new Error(`Cannot parse config output: ${output}`);
+        }
+        data[match[2]] = parseYamlScalar(match[3] || '');
+      });
+    return data;
+  }
+}
+
+/**
+ * Read a config object or one of its keys.
+ *
+ * @param {string} name - Config name, e.g. "simple_oauth_pkce.settings"
+ * @param {string|null} key - Key within the object, e.g. "enforcement" or
+ *   "webview.detection"; null for the whole object
+ * @return {*} Typed value, or null when the key is not set
+ */
+async function getConfig(name, key = null) {
+  const output = await execDrushInTestSite([
+    'config:get',
+    name,
+    ...(key === null ? [] : [key]),
+    '--format=json',
+  ]);
+  const data = parseConfigOutput(output);
+  if (key === null) {
+    return data;
+  }
+  const value = data[`${name}:${key}`];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Write a config object or one of its keys.
+ *
+ * @param {string} name - Config name
+ * @param {string|null} key - Key within the object; null replaces the whole
+ *   object with value
+ * @param {*} value - New value; null removes the key
+ */
+async function setConfig(name, key, value) {
+  if (key === null) {
+    await execPhpInTestSite(
+      '\\Drupal::configFactory()->getEditable($input["name"])->setData($input["data"])->save();',
+      { name, data: value },
+    );
+  } else if (value === null) {
+    await execDrushInTestSite(['config:delete', name, key]);
+  } else {
+    await execDrushInTestSite([
+      'config:set',
+      name,
+      key,
+      JSON.stringify(value),
+      '--input-format=yaml',
+      '-y',
+    ]);
+  }
+}
+
+/**
+ * Assert the stored values of a config object.
+ *
+ * @param {string} name - Config name
+ * @param {Object} expected - Expected values; keys not listed are ignored
+ */
+async function expectConfig(name, expected) {
+  expect(await getConfig(name), name).toMatchObject(expected);
+}
+
+/**
+ * Start recording config changes so they can be undone.
+ *
+ * The first value seen for each object or key is kept; restore() writes them
+ * back in reverse order. Use track() before changing config through a form.
+ *
+ * @return {Object} Object with get, set, track, expect and restore
+ */
+function trackConfigChanges() {
+  const originals = new Map();
+
+  const track = async (name, key = null) => {
+    const id = key === null ? name : `${name}:${key}`;
+    if (!originals.has(id)) {
+      originals.set(id, { name, key, value: await getConfig(name, key) });
+    }
+  };
+
+  return {
+    get: getConfig,
+    expect: expectConfig,
+    track,
+    async set(name, key, value) {
+      await track(name, key);
+      await setConfig(name, key, value);
+    },
+    async restore() {
+      const changes = [...originals.values()].reverse();
+      originals.clear();
+      for (const { name, key, value } of changes) {
+        await setConfig(name, key, value);
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseConfigOutput,
+  getConfig,
+  setConfig,
+  expectConfig,
+  trackConfigChanges,
+};
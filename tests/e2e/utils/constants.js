@@ -32,18 +32,6 @@ const TEST_DATA = {
       body: 'This is a test article created for Simple OAuth 2.1 E2E testing.',
     },
   },
-  blocks: {
-    proxyBlock: {
-      title: 'Test Simple OAuth 2.1',
-      region: 'content',
-    },
-    targetBlocks: [
-      'system_powered_by_block',
-      'system_branding_block',
-      'local_tasks_block',
-      'page_title_block',
-    ],
-  },
 };
 
 /**
@@ -64,11 +52,66 @@ const SELECTORS = {
     cancel: '.form-cancel',
     required: '.required, [required]',
   },
-  blocks: {
-    proxyBlock: '[data-block-plugin-id*="simple_oauth_21"]',
-    blockContent: '.block-content',
-    blockTitle: 'h2, .block-title',
+  oauth: {
+    deviceUserCode: '#edit-user-code',
+    deviceAuthorize: '.button--authorize',
+    deviceDeny: '.button--deny',
+    consentGrant:
+      'input[type="submit"][value="Grant"], button:has-text("Grant")',
+    consentDeny:
+      'input[type="submit"][value="Cancel"], button:has-text("Cancel"), a:has-text("Cancel")',
   },
+  compliance: {
+    rfcMatrix: 'table.admin-list',
+    rfcRow: 'table.admin-list tbody tr',
+    statusIndicator: '.status-indicator',
+    statusBadge: '.status-badge',
+    recommendation: '.description em',
+    actions: '.form-actions .button',
+  },
+};
+
+/**
+ * OAuth endpoint paths, relative to the Drupal base URL.
+ */
+const ENDPOINTS = {
+  authorize: '/oauth/authorize',
+  token: '/oauth/token',
+  deviceAuthorization: '/oauth/device_authorization',
+  deviceVerification: '/oauth/device',
+  register: '/oauth/register',
+  introspect: '/oauth/introspect',
+  revoke: '/oauth/revoke',
+  authorizationServerMetadata: '/.well-known/oauth-authorization-server',
+  openidConfiguration: '/.well-known/openid-configuration',
+  protectedResourceMetadata: '/.well-known/oauth-protected-resource',
+};
+
+/**
+ * Machine name of the main module.
+ */
+const OAUTH_MODULE = 'simple_oauth_21';
+
+/**
+ * Submodules shipped in modules/, each enabled on its own by the specs that
+ * cover it.
+ */
+const OAUTH_SUBMODULES = [
+  'simple_oauth_pkce',
+  'simple_oauth_native_apps',
+  'simple_oauth_device_flow',
+  'simple_oauth_client_registration',
+  'simple_oauth_server_metadata',
+];
+
+/**
+ * OAuth grant type identifiers.
+ */
+const GRANT_TYPES = {
+  authorizationCode: 'authorization_code',
+  refreshToken: 'refresh_token',
+  clientCredentials: 'client_credentials',
+  deviceCode: 'urn:ietf:params:oauth:grant-type:device_code',
 };
 
 /**
@@ -91,38 +134,93 @@ const ENVIRONMENT = {
 };
 
 /**
- * Simple OAuth 2.1 specific test data.
+ * Redirect URIs used by the consumer catalog.
+ *
+ * Authorization responses are intercepted in the browser, so none of these
+ * hosts has to exist.
  */
-const PROXY_BLOCK_DATA = {
-  configurations: [
-    {
-      name: 'Simple Simple OAuth 2.1',
-      targetBlock: 'system_powered_by_block',
-      expectedContent: 'Powered by',
-    },
-    {
-      name: 'Branding Simple OAuth 2.1',
-      targetBlock: 'system_branding_block',
-      expectedContent: 'Drupal',
-    },
-    {
-      name: 'Page Title Simple OAuth 2.1',
-      targetBlock: 'page_title_block',
-      expectedContent: '',
-    },
-  ],
-  contextAwareBlocks: [
-    {
-      name: 'Node Context Block',
-      targetBlock: 'contextual_test_block',
-      requiredContexts: ['node'],
-    },
-    {
-      name: 'User Context Block',
-      targetBlock: 'user_context_block',
-      requiredContexts: ['user'],
-    },
-  ],
+const REDIRECT_URIS = {
+  loopback: 'http://127.0.0.1:8765/callback',
+  spa: 'https://spa.example.com/callback',
+  backend: 'https://backend.example.com/oauth/callback',
+  privateUseScheme: 'com.example.e2eapp://oauth/callback',
+  claimedHttps: 'https://app.example.com/oauth/callback',
+};
+
+/**
+ * Scope sets granted to catalog consumers.
+ *
+ * Scopes are created on first use for the grant types of the consumer that
+ * creates them, so sets are not shared across grant types.
+ */
+const SCOPE_SETS = {
+  none: [],
+  readWrite: ['e2e_read', 'e2e_write'],
+  resource: ['e2e_resource_read', 'e2e_resource_write'],
+  device: ['e2e_device'],
+};
+
+/**
+ * Canonical consumers, as options for createConsumer().
+ */
+const OAUTH_CONSUMERS = {
+  publicSpa: {
+    label: 'E2E public SPA',
+    confidential: false,
+    redirectUris: [REDIRECT_URIS.spa],
+    grantTypes: [GRANT_TYPES.authorizationCode, GRANT_TYPES.refreshToken],
+    scopes: SCOPE_SETS.readWrite,
+  },
+  confidentialBackend: {
+    label: 'E2E confidential backend',
+    confidential: true,
+    redirectUris: [REDIRECT_URIS.backend],
+    grantTypes: [GRANT_TYPES.authorizationCode, GRANT_TYPES.refreshToken],
+    scopes: SCOPE_SETS.readWrite,
+  },
+  nativeCli: {
+    label: 'E2E native CLI',
+    confidential: false,
+    redirectUris: [REDIRECT_URIS.loopback, REDIRECT_URIS.privateUseScheme],
+    grantTypes: [GRANT_TYPES.authorizationCode, GRANT_TYPES.refreshToken],
+    scopes: SCOPE_SETS.none,
+    nativeApp: { override: 'native', enhancedPkce: 'native' },
+  },
+  deviceTv: {
+    label: 'E2E device TV',
+    confidential: false,
+    redirectUris: [],
+    grantTypes: [GRANT_TYPES.deviceCode, GRANT_TYPES.refreshToken],
+    scopes: SCOPE_SETS.device,
+  },
+};
+
+/**
+ * Values the discovery documents must advertise once every submodule is
+ * enabled. List members must contain at least the given values; endpoints
+ * are compared by path.
+ */
+const EXPECTED_METADATA = {
+  authorizationServer: {
+    response_types_supported: ['code'],
+    grant_types_supported: [
+      GRANT_TYPES.authorizationCode,
+      GRANT_TYPES.refreshToken,
+    ],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_signing_alg_values_supported: ['RS256'],
+  },
+  endpoints: {
+    authorization_endpoint: ENDPOINTS.authorize,
+    token_endpoint: ENDPOINTS.token,
+    registration_endpoint: ENDPOINTS.register,
+    revocation_endpoint: ENDPOINTS.revoke,
+    introspection_endpoint: ENDPOINTS.introspect,
+    device_authorization_endpoint: ENDPOINTS.deviceAuthorization,
+  },
+  protectedResource: {
+    bearer_methods_supported: ['header'],
+  },
 };
 
 /**
@@ -156,9 +254,16 @@ module.exports = {
   TIMEOUTS,
   TEST_DATA,
   SELECTORS,
+  ENDPOINTS,
+  OAUTH_MODULE,
+  OAUTH_SUBMODULES,
+  GRANT_TYPES,
   VIEWPORTS,
   ENVIRONMENT,
-  PROXY_BLOCK_DATA,
+  REDIRECT_URIS,
+  SCOPE_SETS,
+  OAUTH_CONSUMERS,
+  EXPECTED_METADATA,
   ERROR_PATTERNS,
   UTILS,
 };
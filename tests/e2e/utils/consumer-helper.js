@@ -0,0 +1,301 @@
+/**
+ * @file
+ * Consumer (OAuth client) fixture utilities for E2E tests.
+ *
+ * Creates, configures and deletes Simple OAuth consumer entities through
+ * `drush php:eval`, including the per-consumer settings provided by
+ * simple_oauth_native_apps.
+ */
+
+const crypto = require('crypto');
+const { execPhpInTestSite } = require('./drush-helper');
+const { REDIRECT_URIS, UTILS } = require('./constants');
+
+/**
+ * Default consumer values, matching a confidential web client.
+ *
+ * Named client profiles live in OAUTH_CONSUMERS in constants.js.
+ */
+const CONSUMER_DEFAULTS = {
+  confidential: true,
+  redirectUris: [REDIRECT_URIS.loopback],
+  grantTypes: ['authorization_code', 'refresh_token'],
+  scopes: [],
+  automaticAuthorization: false,
+  accessTokenExpiration: 300,
+  refreshTokenExpiration: 1209600,
+};
+
+/**
+ * Native app base fields added to consumers by simple_oauth_native_apps.
+ */
+const NATIVE_APP_FIELDS = {
+  override: 'native_app_override',
+  enhancedPkce: 'native_app_enhanced_pkce',
+};
+
+/**
+ * Per-consumer overrides stored in simple_oauth_native_apps.consumer.{id}.
+ *
+ * These mirror the selects added by ConsumerNativeAppsFormAlter.
+ */
+const NATIVE_APP_OVERRIDES = {
+  webviewDetection: 'webview_detection_override',
+  allowCustomSchemes: 'allow_custom_schemes_override',
+  allowLoopback: 'allow_loopback_override',
+  enhancedPkceOverride: 'enhanced_pkce_override',
+};
+
+/**
+ * PHP that creates or updates a consumer from the prepared input.
+ */
+const SAVE_CONSUMER_PHP = `
+$storage = \\Drupal::entityTypeManager()->getStorage("consumer");
+$scope_storage = \\Drupal::entityTypeManager()->getStorage("oauth2_scope");
+foreach ($input["scopes"] ?? [] as $scope) {
+  if (!$scope_storage->load($scope)) {
+    $scope_storage->create([
+      "name" => $scope,
+      "description" => "E2E scope " . $scope,
+      "grant_types" => array_fill_keys($input["grant_types"] ?? ["authorization_code"], ["status" => TRUE]),
+      "umbrella" => FALSE,
+      "granularity_id" => "permission",
+      "granularity_configuration" => ["permission" => "access content"],
+    ])->save();
+  }
+}
+if ($input["client_id_lookup"]) {
+  $consumers = $storage->loadByProperties(["client_id" => $input["client_id_lookup"]]);
+  $consumer = reset($consumers);
+  if (!$consumer) {
+    throw new \\RuntimeException("Consumer not found: " . $input["client_id_lookup"]);
+  }
+  foreach ($input["values"] as $field => $value) {
+    $consumer->set($field, $value);
+  }
+}
+else {
+  $consumer = $storage->create($input["values"]);
+}
+if (isset($input["grant_types"])) {
+  $consumer->set("grant_types", []);
+  foreach ($input["grant_types"] as $grant_type) {
+    $consumer->get("grant_types")->appendItem(["value" => $grant_type]);
+  }
+}
+foreach ($input["native_fields"] ?? [] as $field => $value) {
+  if (!$consumer->hasField($field)) {
+    throw new \\RuntimeException("Field " . $field . " is missing; is simple_oauth_native_apps enabled?");
+  }
+  $consumer->set($field, $value);
+}
+$consumer->save();
+if (!empty($input["native_overrides"])) {
+  $config = \\Drupal::configFactory()->getEditable("simple_oauth_native_apps.consumer." . $consumer->id());
+  $data = array_merge($config->get(), $input["native_overrides"]);
+  $data = array_filter($data, fn ($value) => $value !== "" && $value !== NULL);
+  empty($data) ? $config->delete() : $config->setData($data)->save();
+}
+echo json_encode(["id" => $consumer->id(), "uuid" => $consumer->uuid()]);
+`;
+
+/**
+ * Map camelCase option keys onto Drupal field or config names.
+ *
+ * @param {Object} values - Option values keyed by camelCase name
+ * @param {Object} map - Map of camelCase name to Drupal name
+ * @return {Object} Values keyed by Drupal name
+ */
+function mapKeys(values = {}, map = {}) {
+  return Object.entries(values).reduce((mapped, [key, value]) => {
+    if (map[key] && value !== undefined) {
+      mapped[map[key]] = value;
+    }
+    return mapped;
+  }, {});
+}
+
+/**
+ * Translate consumer options into the PHP input structure.
+ *
+ * @param {Object} options - Consumer options
+ * @return {Object} Input for SAVE_CONSUMER_PHP
+ */
+function buildConsumerInput(options) {
+  const values = mapKeys(options, {
+    label: 'label',
+    clientId: 'client_id',
+    clientSecret: 'secret',
+    confidential: 'confidential',
+    redirectUris: 'redirect',
+    scopes: 'scopes',
+    automaticAuthorization: 'automatic_authorization',
+    accessTokenExpiration: 'access_token_expiration',
+    refreshTokenExpiration: 'refresh_token_expiration',
+    userId: 'user_id',
+  });
+  const nativeApp = options.nativeApp || {};
+
+  return {
+    values,
+    scopes: options.scopes,
+    grant_types: options.grantTypes,
+    native_fields: mapKeys(nativeApp, NATIVE_APP_FIELDS),
+    native_overrides: mapKeys(nativeApp, NATIVE_APP_OVERRIDES),
+  };
+}
+
+/**
+ * Create a consumer for testing.
+ *
+ * Missing scopes are created on the fly, enabled for the consumer's grant
+ * types and granted through the "access content" permission. Confidential
+ * consumers get a random secret unless one is given; the plain-text secret is
+ * returned since Drupal only stores its hash.
+ *
+ * @param {Object} options - Consumer options (see CONSUMER_DEFAULTS)
+ * @return {Object} Consumer details usable as OAuth flow options
+ */
+async function createConsumer(options = {}) {
+  const consumer = {
+    ...CONSUMER_DEFAULTS,
+    label: `E2E consumer ${UTILS.generateUniqueId()}`,
+    clientId: UTILS.generateUniqueId(),
+    userId: 1,
+    ...options,
+  };
+  if (consumer.confidential && !consumer.clientSecret) {
+    consumer.clientSecret = crypto.randomBytes(24).toString('hex');
+  }
+  if (!consumer.confidential) {
+    delete consumer.clientSecret;
+  }
+
+  const result = await execPhpInTestSite(SAVE_CONSUMER_PHP, {
+    ...buildConsumerInput(consumer),
+    client_id_lookup: null,
+  });
+  if (!result || !result.id) {
+    throw new Error(`Failed to create consumer ${consumer.clientId}`);
+  }
+
+  return {
+    ...consumer,
+    id: result.id,
+    uuid: result.uuid,
+    redirectUri: consumer.redirectUris[0],
+  };
+}
+
+/**
+ * Update an existing consumer.
+ *
+ * Only the given options are changed. Native app overrides set to an empty
+ * string fall back to the global setting, as in the consumer form.
+ *
+ * @param {string} clientId - Client ID of the consumer
+ * @param {Object} options - Consumer options to change
+ * @return {Object} Object with id and uuid of the consumer
+ */
+async function updateConsumer(clientId, options = {}) {
+  return execPhpInTestSite(SAVE_CONSUMER_PHP, {
+    ...buildConsumerInput(options),
+    client_id_lookup: clientId,
+  });
+}
+
+/**
+ * Configure the native app fields and overrides of a consumer.
+ *
+ * @param {string} clientId - Client ID of the consumer
+ * @param {Object} nativeApp - Keys of NATIVE_APP_FIELDS/NATIVE_APP_OVERRIDES
+ * @return {Object} Object with id and uuid of the consumer
+ */
+async function setNativeAppSettings(clientId, nativeApp) {
+  return updateConsumer(clientId, { nativeApp });
+}
+
+/**
+ * Load a consumer's stored values.
+ *
+ * @param {string} clientId - Client ID of the consumer
+ * @return {Object|null} Consumer field values and native app overrides
+ */
+async function getConsumer(clientId) {
+  return execPhpInTestSite(
+    `
+$consumers = \\Drupal::entityTypeManager()->getStorage("consumer")->loadByProperties(["client_id" => $input]);
+$consumer = reset($consumers);
+if (!$consumer) {
+  echo json_encode(NULL);
+  return;
+}
+$values = [];
+foreach ($consumer->getFields() as $name => $field) {
+  if ($name !== "secret") {
+    $values[$name] = array_map(fn ($item) => $item["value"] ?? $item["target_id"] ?? $item, $field->getValue());
+  }
+}
+$values["native_apps"] = \\Drupal::config("simple_oauth_native_apps.consumer." . $consumer->id())->get() ?: [];
+echo json_encode($values);
+`,
+    clientId,
+  );
+}
+
+/**
+ * Whether simple_oauth_native_apps classifies a consumer as a native client.
+ *
+ * This is what "auto-detect" overrides resolve to.
+ *
+ * @param {string} clientId - Client ID of the consumer
+ * @return {boolean} Whether the consumer is detected as a native client
+ */
+async function isNativeClient(clientId) {
+  return execPhpInTestSite(
+    `
+$consumers = \\Drupal::entityTypeManager()->getStorage("consumer")->loadByProperties(["client_id" => $input]);
+$consumer = reset($consumers);
+echo json_encode($consumer && \\Drupal::service("simple_oauth_native_apps.native_client_detector")->isNativeClient($consumer));
+`,
+    clientId,
+  );
+}
+
+/**
+ * Delete a consumer along with its native app overrides.
+ *
+ * @param {string} clientId - Client ID of the consumer
+ * @return {boolean} Whether a consumer was deleted
+ */
+async function deleteConsumer(clientId) {
+  try {
+    const deleted = await execPhpInTestSite(
+      `
+$consumers = \\Drupal::entityTypeManager()->getStorage("consumer")->loadByProperties(["client_id" => $input]);
+foreach ($consumers as $consumer) {
+  \\Drupal::configFactory()->getEditable("simple_oauth_native_apps.consumer." . $consumer->id())->delete();
+  $consumer->delete();
+}
+echo json_encode(count($consumers));
+`,
+      clientId,
+    );
+    return deleted > 0;
+  } catch (error) {
+    console.log(`Could not delete consumer ${clientId}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  CONSUMER_DEFAULTS,
+  NATIVE_APP_FIELDS,
+  NATIVE_APP_OVERRIDES,
+  createConsumer,
+  updateConsumer,
+  setNativeAppSettings,
+  getConsumer,
+  isNativeClient,
+  deleteConsumer,
+};
@@ -0,0 +1,277 @@
+/**
+ * @file
+ * Cross-worker lock around the shared Drupal database.
+ *
+ * Every worker uses the same Drupal database and site config. The lock is a
+ * readers-writer lock over both:
+ * - A shared hold is taken around every test that uses the site, by the
+ *   databaseLock fixture. Any number of workers can hold it at once.
+ * - An exclusive hold is taken by code that changes the site under everyone
+ *   else: restoring a snapshot or changing shared settings. It waits until no
+ *   other worker holds the lock, and while it is held no other worker starts
+ *   a test that uses the site.
+ *
+ * So a restore or settings change never happens while another worker's test
+ * is running, and a test never starts while one is in progress. Once an
+ * exclusive hold is waiting, new shared holds wait behind it, so a stream of
+ * short tests cannot starve a restore.
+ *
+ * Holds are files in the lock directory carrying the worker's process ID, so
+ * those left behind by a worker that crashed are ignored. Both kinds of hold
+ * are counted per worker: taking the lock again while this worker already
+ * holds it never waits, and a worker that upgrades to an exclusive hold gives
+ * up its shared file while it waits, so two workers upgrading cannot wait for
+ * each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSnapshotDirectory } = require('./database-snapshot');
+
+/**
+ * Interval between attempts to take the lock, in milliseconds.
+ */
+const LOCK_POLL_INTERVAL = 200;
+
+/**
+ * Time limit for taking the lock, in milliseconds.
+ */
+const LOCK_TIMEOUT = 600000;
+
+/**
+ * File held by the worker holding the lock exclusively.
+ */
+const EXCLUSIVE_HOLD = 'exclusive.lock';
+
+/**
+ * Number of shared and exclusive holds taken by this worker.
+ */
+const holds = { shared: 0, exclusive: 0 };
+
+/**
+ * Get the directory holding the lock files.
+ *
+ * @return {string} Absolute path, below the snapshot directory
+ */
+function getLockDirectory() {
+  return path.join(getSnapshotDirectory(), 'locks');
+}
+
+/**
+ * Get the path of this worker's shared hold file.
+ *
+ * @return {string} Absolute path
+ */
+function getSharedHoldFile() {
+  return path.join(getLockDirectory(), `shared-${process.pid}.lock`);
+}
+
+/**
+ * Whether a process is still running.
+ *
+ * @param {number} pid - Process ID
+ * @return {boolean} Whether the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the process IDs of other live workers holding the lock shared.
+ *
+ * Holds of processes that are gone are removed.
+ *
+ * @return {Array} Process IDs
+ */
+function getSharedHolders() {
+  const directory = getLockDirectory();
+  return fs.readdirSync(directory).flatMap(file => {
+    const match = file.match(/^shared-(\d+)\.lock$/);
+    const pid = match ? Number(match[1]) : null;
+    if (!pid || pid === process.pid) {
+      return [];
+    }
+    if (!isProcessAlive(pid)) {
+      fs.rmSync(path.join(directory, file), { force: true });
+      return [];
+    }
+    return [pid];
+  });
+}
+
+/**
+ * Get the process ID of another live worker holding the lock exclusively.
+ *
+ * A hold left by a process that is gone is removed.
+ *
+ * @return {number|null} Process ID, or null
+ */
+function getExclusiveHolder() {
+  const file = path.join(getLockDirectory(), EXCLUSIVE_HOLD);
+  let owner;
+  try {
+    owner = Number(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!owner || owner === process.pid) {
+    return null;
+  }
+  if (!isProcessAlive(owner)) {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+  return owner;
+}
+
+/**
+ * Try to create the exclusive hold.
+ *
+ * @return {boolean} Whether this worker now holds the lock exclusively
+ */
+function tryExclusiveHold() {
+  const file = path.join(getLockDirectory(), EXCLUSIVE_HOLD);
+  try {
+    fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+  // Clears a hold left by a process that is gone, for the next poll.
+  getExclusiveHolder();
+  return false;
+}
+
+/**
+ * Try to create a shared hold.
+ *
+ * The hold file is written before looking for an exclusive holder, so a
+ * worker taking the lock exclusively at the same time either sees this hold
+ * or is seen here.
+ *
+ * @return {boolean} Whether this worker now holds the lock shared
+ */
+function trySharedHold() {
+  fs.writeFileSync(getSharedHoldFile(), '');
+  if (getExclusiveHolder() === null) {
+    return true;
+  }
+  fs.rmSync(getSharedHoldFile(), { force: true });
+  return false;
+}
+
+/**
+ * Wait until a condition holds, polling it.
+ *
+ * @param {Function} condition - Returns whether to stop waiting
+ * @param {string} waitingFor - What is awaited, for the timeout error
+ */
+async function waitFor(condition, waitingFor) {
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(
+        `Timed out after ${LOCK_TIMEOUT}ms waiting for ${waitingFor} (${getLockDirectory()})`,
+      );
+    }
+    await new Promise(resolve => {
+      setTimeout(resolve, LOCK_POLL_INTERVAL);
+    });
+  }
+}
+
+/**
+ * Take the lock shared, before a test that uses the site.
+ *
+ * Resolves at once when this worker already holds the lock, otherwise once no
+ * other worker holds it exclusively.
+ */
+async function lockDatabaseShared() {
+  if (holds.shared > 0 || holds.exclusive > 0) {
+    holds.shared += 1;
+    return;
+  }
+  fs.mkdirSync(getLockDirectory(), { recursive: true });
+  await waitFor(trySharedHold, 'another worker changing the database');
+  holds.shared = 1;
+}
+
+/**
+ * Release one shared hold taken with lockDatabaseShared().
+ */
+function unlockDatabaseShared() {
+  if (holds.shared === 0) {
+    return;
+  }
+  holds.shared -= 1;
+  if (holds.shared === 0) {
+    fs.rmSync(getSharedHoldFile(), { force: true });
+  }
+}
+
+/**
+ * Release one exclusive hold taken with lockDatabaseExclusive().
+ *
+ * Shared holds this worker still has are kept.
+ */
+function unlockDatabaseExclusive() {
+  if (holds.exclusive === 0) {
+    return;
+  }
+  holds.exclusive -= 1;
+  if (holds.exclusive === 0) {
+    if (holds.shared > 0) {
+      fs.writeFileSync(getSharedHoldFile(), '');
+    }
+    fs.rmSync(path.join(getLockDirectory(), EXCLUSIVE_HOLD), { force: true });
+  }
+}
+
+/**
+ * Take the lock exclusively, before restoring or changing shared settings.
+ *
+ * Resolves once no other worker holds the lock. A shared hold this worker
+ * has is given up while waiting and comes back with unlockDatabaseExclusive().
+ */
+async function lockDatabaseExclusive() {
+  if (holds.exclusive > 0) {
+    holds.exclusive += 1;
+    return;
+  }
+  fs.mkdirSync(getLockDirectory(), { recursive: true });
+  fs.rmSync(getSharedHoldFile(), { force: true });
+
+  try {
+    await waitFor(tryExclusiveHold, 'another worker changing the database');
+  } catch (error) {
+    if (holds.shared > 0) {
+      fs.writeFileSync(getSharedHoldFile(), '');
+    }
+    throw error;
+  }
+  holds.exclusive = 1;
+  try {
+    await waitFor(
+      () => getSharedHolders().length === 0,
+      'other workers to finish with the database',
+    );
+  } catch (error) {
+    unlockDatabaseExclusive();
+    throw error;
+  }
+}
+
+module.exports = {
+  getLockDirectory,
+  lockDatabaseShared,
+  unlockDatabaseShared,
+  lockDatabaseExclusive,
+  unlockDatabaseExclusive,
+};
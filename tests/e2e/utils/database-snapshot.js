@@ -0,0 +1,155 @@
+/**
+ * @file
+ * Database snapshot and restore for E2E test isolation.
+ *
+ * Snapshots are taken with `drush sql:dump` and restored with `drush sql:cli`,
+ * streaming the SQL through Drush's stdout and stdin. Snapshot files thus
+ * stay on the host even when Drush runs in a ddev, Lando or docker compose
+ * container. SQLite database files the host can reach are copied instead.
+ * globalSetup takes the "baseline" snapshot before any spec runs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execDrushInTestSite, execDrushJson } = require('./drush-helper');
+
+/**
+ * Name of the snapshot taken by globalSetup.
+ */
+const BASELINE_SNAPSHOT = 'baseline';
+
+/**
+ * Time limit for dumping or importing the database, in milliseconds.
+ */
+const SNAPSHOT_TIMEOUT = 120000;
+
+/**
+ * Get the directory holding snapshots.
+ *
+ * @return {string} Absolute path, from E2E_DB_SNAPSHOT_DIR if set
+ */
+function getSnapshotDirectory() {
+  return (
+    process.env.E2E_DB_SNAPSHOT_DIR ||
+    path.join(os.tmpdir(), 'simple_oauth_21-e2e-snapshots')
+  );
+}
+
+/**
+ * Describe the database of the site under test.
+ *
+ * @return {Object} Object with driver and, for SQLite, the database file as
+ *   seen by Drush
+ */
+async function getDatabaseInfo() {
+  const status = await execDrushJson([
+    'core:status',
+    '--fields=db-driver,db-name,root',
+  ]);
+  const driver = status['db-driver'];
+  if (!driver) {
+    throw new Error('Drush reports no database; is the site installed?');
+  }
+
+  return {
+    driver,
+    file:
+      driver === 'sqlite' ? path.resolve(status.root, status['db-name']) : null,
+  };
+}
+
+/**
+ * Whether the SQLite database file can be copied from the host.
+ *
+ * @param {Object} database - Result of getDatabaseInfo()
+ * @return {boolean} Whether the file exists where Drush reports it
+ */
+function canCopyDatabaseFile(database) {
+  return !!database.file && fs.existsSync(database.file);
+}
+
+/**
+ * Get the path of a snapshot.
+ *
+ * @param {string} name - Snapshot name
+ * @param {Object} database - Result of getDatabaseInfo()
+ * @return {string} Absolute path of the snapshot file
+ */
+function getSnapshotPath(name, database) {
+  const extension = canCopyDatabaseFile(database) ? 'sqlite' : 'sql';
+  return path.join(getSnapshotDirectory(), `${name}.${extension}`);
+}
+
+/**
+ * Take a database snapshot, replacing any snapshot with the same name.
+ *
+ * @param {string} name - Snapshot name
+ * @return {string} Path of the snapshot file
+ */
+async function createDatabaseSnapshot(name = BASELINE_SNAPSHOT) {
+  const database = await getDatabaseInfo();
+  const snapshot = getSnapshotPath(name, database);
+  fs.mkdirSync(path.dirname(snapshot), { recursive: true });
+
+  if (canCopyDatabaseFile(database)) {
+    fs.copyFileSync(database.file, snapshot);
+    return snapshot;
+  }
+
+  // Dump next to the snapshot first so a failed dump keeps the old one.
+  const partial = `${snapshot}.partial`;
+  const output = fs.createWriteStream(partial);
+  try {
+    await execDrushInTestSite(['sql:dump'], {
+      timeout: SNAPSHOT_TIMEOUT,
+      stdout: output,
+    });
+  } catch (error) {
+    output.destroy();
+    fs.rmSync(partial, { force: true });
+    throw error;
+  }
+  fs.renameSync(partial, snapshot);
+
+  return snapshot;
+}
+
+/**
+ * Restore a database snapshot.
+ *
+ * Caches are rebuilt afterwards so the site does not serve state from after
+ * the snapshot.
+ *
+ * @param {string} name - Snapshot name
+ */
+async function restoreDatabaseSnapshot(name = BASELINE_SNAPSHOT) {
+  const database = await getDatabaseInfo();
+  const snapshot = getSnapshotPath(name, database);
+  if (!fs.existsSync(snapshot)) {
+    throw new Error(
+      `Database snapshot "${name}" not found at ${snapshot}; was it taken in globalSetup?`,
+    );
+  }
+
+  if (canCopyDatabaseFile(database)) {
+    fs.copyFileSync(snapshot, database.file);
+  } else {
+    await execDrushInTestSite(['sql:drop', '-y'], {
+      timeout: SNAPSHOT_TIMEOUT,
+    });
+    await execDrushInTestSite(['sql:cli'], {
+      timeout: SNAPSHOT_TIMEOUT,
+      stdin: fs.createReadStream(snapshot),
+    });
+  }
+  await execDrushInTestSite(['cache:rebuild']);
+}
+
+module.exports = {
+  BASELINE_SNAPSHOT,
+  getSnapshotDirectory,
+  getDatabaseInfo,
+  createDatabaseSnapshot,
+  restoreDatabaseSnapshot,
+};
@@ -0,0 +1,254 @@
+/**
+ * @file
+ * Drupal root and Drush discovery for E2E tests.
+ *
+ * Works out which Drupal project the tests run against and how to call its
+ * Drush, so the module can be checked out anywhere:
+ * - DRUPAL_ROOT points at the project (or its docroot)
+ * - Otherwise parent directories are searched for a composer.json requiring
+ *   Drupal core
+ * - DRUSH_BIN replaces the Drush command, e.g. "ddev drush"
+ * - DRUSH_WRAPPER selects ddev, lando, docker-compose or none; DDEV and Lando
+ *   projects are detected when their CLI is installed and the tests run on
+ *   the host
+ * - DRUSH_DOCKER_SERVICE names the docker compose service (default "php")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Composer packages that mark a Drupal project.
+ */
+const DRUPAL_CORE_PACKAGES = ['drupal/core', 'drupal/core-recommended'];
+
+/**
+ * Drush executable inside a Drupal project.
+ */
+const DRUSH_BINARY = 'vendor/bin/drush';
+
+/**
+ * Commands that run Drush inside a local development environment.
+ *
+ * Each entry gives the project file that identifies the environment, the
+ * variable set inside its containers, and the command prefix.
+ */
+const DRUSH_WRAPPERS = {
+  ddev: {
+    marker: '.ddev/config.yaml',
+    insideEnv: 'IS_DDEV_PROJECT',
+    command: () => ['ddev', 'drush'],
+  },
+  lando: {
+    marker: '.lando.yml',
+    insideEnv: 'LANDO',
+    command: () => ['lando', 'drush'],
+  },
+  'docker-compose': {
+    marker: null,
+    insideEnv: null,
+    command: env => [
+      'docker',
+      'compose',
+      'exec',
+      '-T',
+      env.DRUSH_DOCKER_SERVICE || 'php',
+      DRUSH_BINARY,
+    ],
+  },
+};
+
+let defaultTarget = null;
+
+/**
+ * Whether a composer.json requires Drupal core.
+ *
+ * @param {string} file - Path to composer.json
+ * @return {boolean} Whether the file declares a Drupal project
+ */
+function requiresDrupalCore(file) {
+  try {
+    const composer = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const packages = {
+      ...(composer.require || {}),
+      ...(composer['require-dev'] || {}),
+    };
+    return DRUPAL_CORE_PACKAGES.some(name => name in packages);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the Drupal project containing a directory.
+ *
+ * @param {string} start - Directory to start from
+ * @return {string|null} Project root, or null when none is found
+ */
+function findDrupalProjectRoot(start) {
+  let directory = path.resolve(start);
+  let previous = null;
+
+  while (directory !== previous) {
+    if (requiresDrupalCore(path.join(directory, 'composer.json'))) {
+      return directory;
+    }
+    previous = directory;
+    directory = path.dirname(directory);
+  }
+  return null;
+}
+
+/**
+ * Check whether an executable is on the PATH.
+ *
+ * @param {string} name - Executable name
+ * @param {Object} env - Environment variables
+ * @return {boolean} Whether the executable was found
+ */
+function isOnPath(name, env) {
+  return (env.PATH || '').split(path.delimiter).some(directory => {
+    try {
+      fs.accessSync(path.join(directory, name), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Pick the wrapper that runs Drush for a project.
+ *
+ * @param {string} root - Drupal project root
+ * @param {Object} env - Environment variables
+ * @return {string|null} Key of DRUSH_WRAPPERS, or null to run Drush directly
+ */
+function detectWrapper(root, env) {
+  const requested = env.DRUSH_WRAPPER;
+  if (requested === 'none') {
+    return null;
+  }
+  if (requested) {
+    if (!DRUSH_WRAPPERS[requested]) {
+      throw new Error(
+        `Unknown DRUSH_WRAPPER "${requested}"; use one of ${Object.keys(
+          DRUSH_WRAPPERS,
+        ).join(', ')} or none`,
+      );
+    }
+    return requested;
+  }
+
+  return (
+    Object.keys(DRUSH_WRAPPERS).find(name => {
+      const { marker, insideEnv, command } = DRUSH_WRAPPERS[name];
+      return (
+        marker &&
+        !env[insideEnv] &&
+        fs.existsSync(path.join(root, marker)) &&
+        isOnPath(command(env)[0], env)
+      );
+    }) || null
+  );
+}
+
+/**
+ * Resolve the Drupal root and the Drush command to use.
+ *
+ * @param {Object} options - Object with env (defaults to process.env) and
+ *   start directory for the search (defaults to this file's directory)
+ * @return {Object} Object with root, source, wrapper and drush, the command
+ *   and leading arguments as an array
+ */
+function resolveDrushTarget(options = {}) {
+  const { env = process.env, start = __dirname } = options;
+  const warnings = [];
+  let root = null;
+  let source = null;
+
+  if (env.DRUPAL_ROOT) {
+    root = findDrupalProjectRoot(env.DRUPAL_ROOT);
+    if (root) {
+      source = 'DRUPAL_ROOT';
+    } else {
+      warnings.push(
+        `DRUPAL_ROOT=${env.DRUPAL_ROOT} is not inside a Drupal project`,
+      );
+    }
+  }
+  if (!root) {
+    root = findDrupalProjectRoot(start);
+    source = root ? 'composer.json' : null;
+  }
+  if (!root) {
+    throw new Error(
+      [
+        ...warnings,
+        `No composer.json requiring Drupal core found above ${start}; set DRUPAL_ROOT`,
+      ].join('. '),
+    );
+  }
+
+  let wrapper = null;
+  let drush;
+  if (env.DRUSH_BIN) {
+    drush = env.DRUSH_BIN.trim().split(/\s+/);
+    if (drush[0].includes('/')) {
+      drush[0] = path.resolve(root, drush[0]);
+    }
+  } else {
+    wrapper = detectWrapper(root, env);
+    drush = wrapper
+      ? DRUSH_WRAPPERS[wrapper].command(env)
+      : [path.join(root, DRUSH_BINARY)];
+  }
+
+  return { root, source, wrapper, drush, warnings };
+}
+
+/**
+ * Get the Drush target for this process, resolving it on first use.
+ *
+ * @return {Object} Result of resolveDrushTarget()
+ */
+function getDrushTarget() {
+  if (!defaultTarget) {
+    defaultTarget = resolveDrushTarget();
+    defaultTarget.warnings.forEach(warning => console.warn(warning));
+  }
+  return defaultTarget;
+}
+
+/**
+ * Forget the cached Drush target, e.g. after changing DRUPAL_ROOT.
+ */
+function resetDrushTarget() {
+  defaultTarget = null;
+}
+
+/**
+ * Describe a Drush target for logs.
+ *
+ * @param {Object} target - Result of resolveDrushTarget()
+ * @return {string} Human-readable summary
+ */
+function describeDrushTarget(target) {
+  const origin =
+    target.source === 'DRUPAL_ROOT'
+      ? 'from DRUPAL_ROOT'
+      : 'found via composer.json';
+  const via = target.wrapper ? ` via ${target.wrapper}` : '';
+  return `Drupal root ${target.root} (${origin}); drush: ${target.drush.join(
+    ' ',
+  )}${via}`;
+}
+
+module.exports = {
+  DRUSH_WRAPPERS,
+  findDrupalProjectRoot,
+  resolveDrushTarget,
+  getDrushTarget,
+  resetDrushTarget,
+  describeDrushTarget,
+};
@@ -6,65 +6,303 @@
  * standard Node.js child_process execution patterns.
  */
 
-const { execSync } = require('child_process');
-const path = require('path');
+const { spawn } = require('child_process');
+const { getDrushTarget } = require('./drupal-site');
 
 /**
- * Execute Drush commands in the Drupal site.
+ * Default time limit for a Drush command, in milliseconds.
+ */
+const DRUSH_TIMEOUT = 30000;
+
+/**
+ * Get the Drupal root the tests run against.
  *
- * @param {string} command - Drush command to execute (without 'drush' prefix)
- * @param {Object} options - Execution options
- * @return {string} Command output
+ * @return {string} Absolute path of the Drupal project root
  */
-async function execDrushInTestSite(command, options = {}) {
-  // Use relative path from this file to the Drupal root
-  // tests/e2e/utils -> ../../../../.. gets us to the main Drupal root
-  const drupalRoot = path.resolve(__dirname, '../../../../../../..');
-
-  const defaults = {
-    cwd: drupalRoot,
-    encoding: 'utf8',
-    timeout: 30000, // 30 second timeout
-    stdio: 'pipe',
-    ...options,
-  };
+function getDrupalRoot() {
+  return getDrushTarget().root;
+}
 
-  try {
-    // Use drush with database access
-    const drushCommand = `vendor/bin/drush ${command}`;
+/**
+ * Quote an argument for a POSIX shell.
+ *
+ * @param {string} value - Argument
+ * @return {string} Single-quoted argument
+ */
+function quoteShellArg(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Create the error reported when a Drush command is aborted.
+ *
+ * @param {AbortSignal} signal - Signal that aborted the command
+ * @return {Error} Error named AbortError, as thrown by Node's own APIs
+ */
+function createAbortError(signal) {
+  const error = new Error('Drush command was aborted', {
+    cause: signal.reason,
+  });
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Run a Drush command without blocking the worker.
+ *
+ * Drush is located by getDrushTarget(). String commands are passed to a
+ * shell; argument arrays are passed to Drush as they are. The child runs in
+ * its own process group so a timeout or abort also stops anything Drush
+ * started.
+ *
+ * The promise resolves whatever the exit code is, and rejects only when Drush
+ * could not be started, timed out, was aborted or, with `json`, printed
+ * output that is not JSON.
+ *
+ * @param {string|Array} command - Drush command (without 'drush' prefix) or
+ *   its arguments
+ * @param {Object} options - Object with cwd, env, timeout, signal (an
+ *   AbortSignal), json (append --format=json and parse stdout),
+ *   onStdout/onStderr callbacks receiving output as it arrives, stdin (a
+ *   readable stream piped to Drush) and stdout (a writable stream receiving
+ *   the output instead of the result, e.g. for database dumps)
+ * @return {Promise<Object>} Object with stdout, stderr, exitCode, durationMs
+ *   and, with `json`, the parsed data
+ */
+function runDrush(command, options = {}) {
+  const {
+    env = process.env,
+    timeout = DRUSH_TIMEOUT,
+    signal,
+    json = false,
+    onStdout,
+    onStderr,
+    stdin,
+    stdout: output,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+
+    // Discovery errors thrown here reject the promise.
+    const target = getDrushTarget();
+    const cwd = options.cwd || target.root;
+    const started = Date.now();
+    const [binary, ...prefix] = target.drush;
+    const child = Array.isArray(command)
+      ? spawn(
+          binary,
+          [...prefix, ...command, ...(json ? ['--format=json'] : [])],
+          { cwd, env, detached: true },
+        )
+      : spawn(
+          `${[binary, ...prefix].map(quoteShellArg).join(' ')} ${command}${
+            json ? ' --format=json' : ''
+          }`,
+          { cwd, env, detached: true, shell: true },
+        );
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const stop = () => {
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch (error) {
+        // The process group has already exited.
+      }
+    };
+    const onAbort = () => stop();
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    if (output) {
+      child.stdout.pipe(output);
+    } else {
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', chunk => {
+        stdout += chunk;
+        if (onStdout) {
+          onStdout(chunk);
+        }
+      });
+    }
+    if (stdin) {
+      // Drush may exit before reading everything, e.g. on a failed query.
+      child.stdin.on('error', () => {});
+      stdin.pipe(child.stdin);
+    }
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      if (onStderr) {
+        onStderr(chunk);
+      }
+    });
+
+    child.once('error', error => {
+      cleanup();
+      reject(error);
+    });
+
+    const settle = exitCode => {
+      if (signal && signal.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+      if (timedOut) {
+        reject(new Error(`Drush command timed out after ${timeout}ms`));
+        return;
+      }
 
-    // Execute synchronously to match the expected API
-    const result = execSync(drushCommand, defaults);
+      const result = {
+        stdout,
+        stderr,
+        exitCode,
+        durationMs: Date.now() - started,
+      };
+      if (json && exitCode === 0) {
+        try {
+          result.data = JSON.parse(stdout);
+        } catch (error) {
+          reject(new Error(`Drush did not return JSON: ${error.message}`));
+          return;
+        }
+      }
+      resolve(result);
+    };
 
-    // Return trimmed output as string
-    return result.toString().trim();
+    child.once('close', exitCode => {
+      cleanup();
+      if (output && !output.writableFinished && !output.destroyed) {
+        // Resolve once the piped output has been flushed.
+        output.once('finish', () => settle(exitCode));
+        output.once('error', reject);
+        return;
+      }
+      settle(exitCode);
+    });
+  });
+}
+
+/**
+ * Run a Drush command and fail unless it exits successfully.
+ *
+ * @param {string|Array} command - Drush command or its arguments
+ * @param {Object} options - Options for runDrush()
+ * @return {Promise<Object>} Result of runDrush()
+ */
+async function runDrushOrThrow(command, options = {}) {
+  const label = Array.isArray(command) ? command.join(' ') : command;
+  let result;
+  let reason;
+
+  try {
+    result = await runDrush(command, options);
+    if (result.exitCode !== 0) {
+      reason = `exit code ${result.exitCode}: ${result.stderr.trim()}`;
+    }
   } catch (error) {
+    reason = error.message;
+  }
+
+  if (reason) {
     // Log error details for debugging
-    console.error(`Drush command failed: ${command}`);
-    console.error(`Error: ${error.message}`);
-    console.error(`Working directory: ${drupalRoot}`);
+    console.error(`Drush command failed: ${label}`);
+    console.error(`Error: ${reason}`);
+    console.error(`Working directory: ${options.cwd || getDrupalRoot()}`);
 
     // Re-throw with more context
-    throw new Error(`Drush execution failed: ${command} - ${error.message}`);
+    throw new Error(`Drush execution failed: ${label} - ${reason}`);
   }
+
+  return result;
+}
+
+/**
+ * Execute Drush commands in the Drupal site.
+ *
+ * @param {string|Array} command - Drush command to execute (without 'drush'
+ *   prefix) or its arguments
+ * @param {Object} options - Options for runDrush()
+ * @return {string} Command output
+ */
+async function execDrushInTestSite(command, options = {}) {
+  const { stdout } = await runDrushOrThrow(command, options);
+
+  // Return trimmed output as string
+  return stdout.trim();
+}
+
+/**
+ * Execute a Drush command with --format=json and return the parsed output.
+ *
+ * @param {string|Array} command - Drush command or its arguments
+ * @param {Object} options - Options for runDrush()
+ * @return {*} Decoded JSON output
+ */
+async function execDrushJson(command, options = {}) {
+  const { data } = await runDrushOrThrow(command, { ...options, json: true });
+  return data;
 }
 
 /**
  * Execute Drush commands asynchronously (for compatibility).
  *
- * @param {string} command - Drush command to execute
- * @param {Object} options - Execution options
+ * execDrushInTestSite() no longer blocks the worker, so this is an alias.
+ *
+ * @param {string|Array} command - Drush command or its arguments
+ * @param {Object} options - Options for runDrush()
  * @return {Promise<string>} Command output
  */
 async function execDrushAsync(command, options = {}) {
-  return new Promise((resolve, reject) => {
-    try {
-      const result = execDrushInTestSite(command, options);
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    }
-  });
+  return execDrushInTestSite(command, options);
+}
+
+/**
+ * Evaluate PHP in the Drupal site through `drush php:eval`.
+ *
+ * The code and its input are base64-encoded so neither has to survive
+ * command line handling. The code receives the decoded input as `$input`
+ * and should `echo json_encode(...)` its result, which is parsed from the
+ * last line of output.
+ *
+ * @param {string} code - PHP code to evaluate (without opening tag)
+ * @param {*} input - JSON-serializable value exposed as `$input`
+ * @return {*} Decoded JSON result, or the raw output if it is not JSON
+ */
+async function execPhpInTestSite(code, input = null) {
+  const encodedCode = Buffer.from(code).toString('base64');
+  const encodedInput = Buffer.from(JSON.stringify(input)).toString('base64');
+  const output = await execDrushInTestSite([
+    'php:eval',
+    `$input = json_decode(base64_decode("${encodedInput}"), TRUE); eval(base64_decode("${encodedCode}"));`,
+  ]);
+
+  const lines = output.split('\n').filter(line => line.trim() !== '');
+  if (!lines.length) {
+    return null;
+  }
+  try {
+    return JSON.parse(lines[lines.length - 1]);
+  } catch (error) {
+    return output;
+  }
 }
 
 /**
@@ -89,8 +327,7 @@ async function isDrushAvailable() {
  */
 async function getSiteStatus() {
   try {
-    const result = await execDrushInTestSite('status --format=json');
-    return JSON.parse(result);
+    return await execDrushJson('status');
   } catch (error) {
     console.warn('Could not get site status:', error.message);
     return {};
@@ -105,7 +342,7 @@ async function getSiteStatus() {
  */
 async function enableModule(moduleName) {
   try {
-    await execDrushInTestSite(`pm:enable ${moduleName} -y`);
+    await execDrushInTestSite(['pm:enable', moduleName, '-y']);
     return true;
   } catch (error) {
     console.error(`Failed to enable module ${moduleName}:`, error.message);
@@ -113,6 +350,41 @@ async function enableModule(moduleName) {
   }
 }
 
+/**
+ * Filter a list of modules down to the installed ones.
+ *
+ * @param {Array} moduleNames - Module machine names
+ * @return {Array} The installed modules, in the given order
+ */
+async function getInstalledModules(moduleNames) {
+  const installed = await execDrushJson([
+    'pm:list',
+    '--type=module',
+    '--status=enabled',
+  ]);
+  return moduleNames.filter(moduleName => moduleName in installed);
+}
+
+/**
+ * Uninstall a module if it's installed.
+ *
+ * Modules that depend on it are uninstalled with it.
+ *
+ * @param {string} moduleName - Module machine name
+ * @return {boolean} Whether the module is uninstalled afterwards
+ */
+async function disableModule(moduleName) {
+  try {
+    if ((await getInstalledModules([moduleName])).length) {
+      await execDrushInTestSite(['pm:uninstall', moduleName, '-y']);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Failed to uninstall module ${moduleName}:`, error.message);
+    return false;
+  }
+}
+
 /**
  * Clear all Drupal caches.
  *
@@ -144,16 +416,19 @@ async function createAdminUser(
   try {
     // Try to create user (might already exist)
     try {
-      await execDrushInTestSite(
-        `user:create ${username} --mail="${email}" --password="${password}"`,
-      );
+      await execDrushInTestSite([
+        'user:create',
+        username,
+        `--mail=${email}`,
+        `--password=${password}`,
+      ]);
     } catch (createError) {
       // User might already exist, try to reset password instead
-      await execDrushInTestSite(`user:password ${username} "${password}"`);
+      await execDrushInTestSite(['user:password', username, password]);
     }
 
     // Ensure user has admin role
-    await execDrushInTestSite(`user:role:add administrator ${username}`);
+    await execDrushInTestSite(['user:role:add', 'administrator', username]);
 
     return {
       username,
@@ -181,7 +456,7 @@ async function createAdminUser(
  */
 async function deleteUser(username) {
   try {
-    await execDrushInTestSite(`user:delete ${username}`);
+    await execDrushInTestSite(['user:delete', username]);
     return true;
   } catch (error) {
     console.error(`Failed to delete user ${username}:`, error.message);
@@ -190,11 +465,18 @@ async function deleteUser(username) {
 }
 
 module.exports = {
+  DRUSH_TIMEOUT,
+  getDrupalRoot,
+  runDrush,
   execDrushInTestSite,
+  execDrushJson,
   execDrushAsync,
+  execPhpInTestSite,
   isDrushAvailable,
   getSiteStatus,
   enableModule,
+  getInstalledModules,
+  disableModule,
   clearCache,
   createAdminUser,
   deleteUser,
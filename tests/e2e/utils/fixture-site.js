@@ -0,0 +1,111 @@
+/**
+ * @file
+ * Local fixture site for infrastructure tests.
+ *
+ * Serves the static pages in tests/e2e/fixture-site so the Playwright
+ * infrastructure checks have a page to load without a Drupal site or network
+ * access. Playwright's webServer runs this file directly; the port comes from
+ * E2E_FIXTURE_SITE_PORT.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * Directory holding the fixture pages.
+ */
+const FIXTURE_SITE_DIR = path.resolve(__dirname, '..', 'fixture-site');
+
+/**
+ * Port the fixture site listens on.
+ */
+const FIXTURE_SITE_PORT = Number(process.env.E2E_FIXTURE_SITE_PORT || 8731);
+
+/**
+ * Content types by file extension.
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+/**
+ * Get the URL of the fixture site.
+ *
+ * @return {string} Base URL of the fixture site
+ */
+function getFixtureSiteUrl() {
+  return `http://127.0.0.1:${FIXTURE_SITE_PORT}`;
+}
+
+/**
+ * Resolve a request path to a file below FIXTURE_SITE_DIR.
+ *
+ * @param {string} pathname - Request path
+ * @return {string|null} File path, or null when outside the fixture site
+ */
+function resolveFixturePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+  const file = path.join(FIXTURE_SITE_DIR, path.normalize(decoded));
+  if (
+    file !== FIXTURE_SITE_DIR &&
+    !file.startsWith(FIXTURE_SITE_DIR + path.sep)
+  ) {
+    return null;
+  }
+  return decoded.endsWith('/') ? path.join(file, 'index.html') : file;
+}
+
+/**
+ * Create the fixture site HTTP server.
+ *
+ * @return {http.Server} Server that is not listening yet
+ */
+function createFixtureSiteServer() {
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const { pathname } = new URL(req.url, getFixtureSiteUrl());
+    const file = resolveFixturePath(pathname);
+    fs.readFile(file || '', (error, body) => {
+      if (!file || error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type':
+          CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        'Content-Length': body.length,
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  });
+}
+
+if (require.main === module) {
+  createFixtureSiteServer().listen(FIXTURE_SITE_PORT, '127.0.0.1', () => {
+    console.log(`Fixture site listening on ${getFixtureSiteUrl()}`);
+  });
+}
+
+module.exports = {
+  FIXTURE_SITE_DIR,
+  FIXTURE_SITE_PORT,
+  getFixtureSiteUrl,
+  createFixtureSiteServer,
+};
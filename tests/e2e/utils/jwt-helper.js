@@ -0,0 +1,217 @@
+/**
+ * @file
+ * JWT access token utilities for E2E tests.
+ *
+ * Simple OAuth issues access tokens as JWTs signed with the site's key pair.
+ * These helpers decode them, verify signatures against the JWKS advertised in
+ * the authorization server metadata and assert the claims a resource server
+ * relies on.
+ */
+
+const crypto = require('crypto');
+const { expect } = require('@playwright/test');
+const { ENDPOINTS } = require('./constants');
+
+/**
+ * Key types and Node digest names for the JWS algorithms (RFC 7518 Section
+ * 3.1) we verify.
+ */
+const JWS_ALGORITHMS = {
+  RS256: { kty: 'RSA', digest: 'sha256' },
+  RS384: { kty: 'RSA', digest: 'sha384' },
+  RS512: { kty: 'RSA', digest: 'sha512' },
+  PS256: {
+    kty: 'RSA',
+    digest: 'sha256',
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  },
+  ES256: { kty: 'EC', digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Seconds of clock skew tolerated when checking time-based claims.
+ */
+const CLOCK_SKEW = 60;
+
+const jwksCache = new Map();
+
+/**
+ * Decode a base64url encoded JSON segment.
+ *
+ * @param {string} segment - Encoded segment
+ * @return {Object} Parsed JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString());
+}
+
+/**
+ * Decode a JWT without verifying it.
+ *
+ * @param {string} token - Compact serialized JWT
+ * @return {Object} Object with header, payload, signingInput and signature
+ */
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error(`Expected a JWT with 3 segments, got ${parts.length}`);
+  }
+  const [header, payload, signature] = parts;
+
+  return {
+    header: decodeSegment(header),
+    payload: decodeSegment(payload),
+    signingInput: `${header}.${payload}`,
+    signature: Buffer.from(signature, 'base64url'),
+  };
+}
+
+/**
+ * Fetch the authorization server metadata and its JWKS.
+ *
+ * The JWKS is cached per jwks_uri; pass refresh to fetch it again, e.g. after
+ * key rotation.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {boolean} refresh - Whether to bypass the cache
+ * @return {Object} Object with issuer, jwksUri and keys
+ */
+async function getJwks(request, refresh = false) {
+  const response = await request.get(ENDPOINTS.authorizationServerMetadata);
+  if (!response.ok()) {
+    throw new Error(`Server metadata returned HTTP ${response.status()}`);
+  }
+  const { issuer, jwks_uri: jwksUri } = await response.json();
+  if (!jwksUri) {
+    throw new Error('Server metadata does not advertise a jwks_uri');
+  }
+
+  if (refresh || !jwksCache.has(jwksUri)) {
+    const jwks = await request.get(jwksUri);
+    if (!jwks.ok()) {
+      throw new Error(`JWKS ${jwksUri} returned HTTP ${jwks.status()}`);
+    }
+    jwksCache.set(jwksUri, (await jwks.json()).keys || []);
+  }
+
+  return { issuer, jwksUri, keys: jwksCache.get(jwksUri) };
+}
+
+/**
+ * Verify the signature of a JWT against a set of JWKs.
+ *
+ * The key is selected by `kid` when the token names one; otherwise every
+ * signing key is tried. Keys of another type, or bound to another algorithm
+ * through their `alg` member, are never used.
+ *
+ * @param {string} token - Compact serialized JWT
+ * @param {Array} keys - JWKs from the key set
+ * @return {boolean} Whether a key verified the signature
+ */
+function verifyJwtSignature(token, keys) {
+  const { header, signingInput, signature } = decodeJwt(token);
+  const algorithm = JWS_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported JWS algorithm ${header.alg}`);
+  }
+
+  const candidates = keys.filter(
+    key =>
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === 'sig') &&
+      (!key.alg || key.alg === header.alg) &&
+      key.kty === algorithm.kty,
+  );
+
+  return candidates.some(jwk =>
+    crypto.verify(
+      algorithm.digest,
+      Buffer.from(signingInput),
+      {
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        padding: algorithm.padding,
+        dsaEncoding: algorithm.dsaEncoding,
+      },
+      signature,
+    ),
+  );
+}
+
+/**
+ * Normalize a scope claim to a list of scope names.
+ *
+ * Simple OAuth emits an array; RFC 9068 uses a space-separated string.
+ *
+ * @param {Array|string} scope - Scope claim
+ * @return {Array} Scope names
+ */
+function getTokenScopes(scope) {
+  if (Array.isArray(scope)) {
+    return scope;
+  }
+  return (scope || '').split(' ').filter(Boolean);
+}
+
+/**
+ * Assert that an access token is a valid JWT issued by the site.
+ *
+ * Checks the signature against the advertised JWKS, `iss` against the
+ * metadata issuer, `exp`, and, when given, the client and scopes. Simple
+ * OAuth identifies the client through `aud`; an RFC 9068 `client_id` claim
+ * must agree with it and with the given client when present.
+ *
+ * @param {string} token - Access token as issued to the client
+ * @param {Object} options - Object with request (Playwright
+ *   APIRequestContext) and optional clientId and scopes
+ * @return {Object} Decoded payload, for further assertions
+ */
+async function expectValidAccessToken(token, options) {
+  const { request, clientId, scopes = [] } = options;
+  const { header, payload } = decodeJwt(token);
+  const now = Math.floor(Date.now() / 1000);
+
+  let { issuer, keys } = await getJwks(request);
+  if (header.kid && !keys.some(key => key.kid === header.kid)) {
+    ({ issuer, keys } = await getJwks(request, true));
+  }
+  expect(
+    verifyJwtSignature(token, keys),
+    `signature of ${header.alg} token verifies against the JWKS`,
+  ).toBe(true);
+
+  expect(payload.iss, 'iss claim').toBe(issuer);
+  expect(payload.exp, 'exp claim').toBeGreaterThan(now - CLOCK_SKEW);
+  if (payload.iat !== undefined) {
+    expect(payload.iat, 'iat claim').toBeLessThanOrEqual(now + CLOCK_SKEW);
+  }
+
+  const audience = [].concat(payload.aud || []);
+  expect(audience.length, 'aud claim').toBeGreaterThan(0);
+  if (clientId) {
+    expect(audience, 'aud claim').toContain(clientId);
+  }
+  if (payload.client_id !== undefined) {
+    expect(audience, 'aud claim matches client_id').toContain(
+      payload.client_id,
+    );
+    if (clientId) {
+      expect(payload.client_id, 'client_id claim').toBe(clientId);
+    }
+  }
+
+  const granted = getTokenScopes(payload.scope);
+  scopes.forEach(scope => {
+    expect(granted, 'scope claim').toContain(scope);
+  });
+
+  return payload;
+}
+
+module.exports = {
+  JWS_ALGORITHMS,
+  decodeJwt,
+  getJwks,
+  verifyJwtSignature,
+  getTokenScopes,
+  expectValidAccessToken,
+};
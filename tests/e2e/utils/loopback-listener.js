@@ -0,0 +1,85 @@
+/**
+ * @file
+ * Loopback redirect listener for native app E2E tests.
+ *
+ * Plays the part of a native app waiting on a loopback interface for the
+ * authorization response (RFC 8252 Section 7.3).
+ */
+
+const http = require('http');
+const { TIMEOUTS } = require('./constants');
+
+/**
+ * Start an HTTP listener on a loopback interface.
+ *
+ * @param {Object} options - Object with host ('127.0.0.1' or '::1'), port
+ *   (0 picks a free one) and callback path
+ * @return {Object} Listener with redirectUri, waitForRedirect() and close()
+ */
+async function startLoopbackListener(options = {}) {
+  const { host = '127.0.0.1', port = 0, path = '/callback' } = options;
+  const received = [];
+  const waiters = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://loopback');
+    if (url.pathname === path) {
+      received.push(url);
+      waiters.splice(0).forEach(resolve => resolve(url));
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body><h1>Native app callback</h1></body></html>');
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const authority = host.includes(':') ? `[${host}]` : host;
+  const redirectUri = `http://${authority}:${server.address().port}${path}`;
+
+  return {
+    redirectUri,
+    received,
+
+    /**
+     * Wait for the next redirect, or return one already received.
+     *
+     * @param {number} timeout - Milliseconds to wait
+     * @return {URL} Requested URL, with the authorization response in its
+     *   query string
+     */
+    waitForRedirect(timeout = TIMEOUTS.MEDIUM) {
+      if (received.length) {
+        return Promise.resolve(received.shift());
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error(`No redirect received on ${redirectUri}`));
+        }, timeout);
+        waiters.push(url => {
+          clearTimeout(timer);
+          received.splice(received.indexOf(url), 1);
+          resolve(url);
+        });
+      });
+    },
+
+    /**
+     * Stop listening.
+     *
+     * @return {Promise} Resolves once the server is closed
+     */
+    close() {
+      return new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+module.exports = {
+  startLoopbackListener,
+};
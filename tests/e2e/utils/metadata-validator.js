@@ -0,0 +1,704 @@
+/**
+ * @file
+ * Discovery metadata validation utilities for E2E tests.
+ *
+ * Fetches the /.well-known documents served by simple_oauth_server_metadata
+ * and checks them against RFC 8414, RFC 9728 and OpenID Connect Discovery 1.0.
+ * Every failed rule becomes a finding; findings are rendered as a diff-style
+ * report of expected versus actual values.
+ */
+
+const { ENDPOINTS } = require('./constants');
+
+/**
+ * Metadata documents keyed by report name.
+ */
+const METADATA_DOCUMENTS = {
+  'oauth-authorization-server': ENDPOINTS.authorizationServerMetadata,
+  'openid-configuration': ENDPOINTS.openidConfiguration,
+  'oauth-protected-resource': ENDPOINTS.protectedResourceMetadata,
+};
+
+/**
+ * Members holding endpoint URLs that clients are expected to call.
+ */
+const ENDPOINT_MEMBERS = [
+  'authorization_endpoint',
+  'token_endpoint',
+  'jwks_uri',
+  'userinfo_endpoint',
+  'registration_endpoint',
+  'revocation_endpoint',
+  'introspection_endpoint',
+  'device_authorization_endpoint',
+];
+
+/**
+ * Members that must be identical in both authorization server documents.
+ */
+const SHARED_MEMBERS = [
+  'issuer',
+  'authorization_endpoint',
+  'token_endpoint',
+  'jwks_uri',
+  'registration_endpoint',
+  'revocation_endpoint',
+  'introspection_endpoint',
+  'code_challenge_methods_supported',
+  'grant_types_supported',
+  'token_endpoint_auth_methods_supported',
+];
+
+/**
+ * Build a finding.
+ *
+ * @param {string} document - Document name
+ * @param {string} member - Metadata member the rule applies to
+ * @param {string} rule - Human-readable description of the expectation
+ * @param {*} actual - Actual value found
+ * @param {Object} options - Optional severity ('error') and reference
+ * @return {Object} Finding
+ */
+function finding(document, member, rule, actual, options = {}) {
+  return {
+    document,
+    member,
+    rule,
+    actual,
+    severity: options.severity || 'error',
+    reference: options.reference || null,
+  };
+}
+
+/**
+ * Parse a URL, returning null when it is not absolute.
+ *
+ * @param {*} value - Candidate URL
+ * @return {URL|null} Parsed URL
+ */
+function parseUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check members that every document must contain.
+ *
+ * @param {string} document - Document name
+ * @param {Object} metadata - Metadata document
+ * @param {Array} members - Required member names
+ * @param {string} reference - Specification reference
+ * @return {Array} Findings
+ */
+function checkRequired(document, metadata, members, reference) {
+  return members
+    .filter(
+      member =>
+        metadata[member] === undefined ||
+        metadata[member] === null ||
+        metadata[member] === '' ||
+        (Array.isArray(metadata[member]) && !metadata[member].length),
+    )
+    .map(member =>
+      finding(document, member, 'present and non-empty', metadata[member], {
+        reference,
+      }),
+    );
+}
+
+/**
+ * Check that the given members, when present, are absolute URLs.
+ *
+ * Endpoints served over plain HTTP are reported as warnings so local
+ * environments without TLS still validate.
+ *
+ * @param {string} document - Document name
+ * @param {Object} metadata - Metadata document
+ * @param {Array} members - Member names to check
+ * @param {string} reference - Specification reference
+ * @return {Array} Findings
+ */
+function checkUrls(document, metadata, members, reference) {
+  const findings = [];
+  members
+    .filter(member => metadata[member] !== undefined)
+    .forEach(member => {
+      const url = parseUrl(metadata[member]);
+      if (!url) {
+        findings.push(
+          finding(document, member, 'absolute URL', metadata[member], {
+            reference,
+          }),
+        );
+      } else if (url.protocol !== 'https:') {
+        findings.push(
+          finding(document, member, 'https URL', metadata[member], {
+            severity: 'warning',
+            reference,
+          }),
+        );
+      }
+    });
+  return findings;
+}
+
+/**
+ * Check that the given members, when present, are arrays of strings.
+ *
+ * @param {string} document - Document name
+ * @param {Object} metadata - Metadata document
+ * @param {string} reference - Specification reference
+ * @return {Array} Findings
+ */
+function checkStringArrays(document, metadata, reference) {
+  return Object.keys(metadata)
+    .filter(member => /_supported$/.test(member))
+    .filter(member => typeof metadata[member] !== 'boolean')
+    .filter(
+      member =>
+        !Array.isArray(metadata[member]) ||
+        metadata[member].some(value => typeof value !== 'string'),
+    )
+    .map(member =>
+      finding(document, member, 'JSON array of strings', metadata[member], {
+        reference,
+      }),
+    );
+}
+
+/**
+ * Check the issuer identifier rules shared by RFC 8414 and OIDC Discovery.
+ *
+ * @param {string} document - Document name
+ * @param {Object} metadata - Metadata document
+ * @param {string} reference - Specification reference
+ * @return {Array} Findings
+ */
+function checkIssuer(document, metadata, reference) {
+  if (metadata.issuer === undefined) {
+    return [];
+  }
+  const issuer = parseUrl(metadata.issuer);
+  if (!issuer) {
+    return [
+      finding(document, 'issuer', 'absolute URL', metadata.issuer, {
+        reference,
+      }),
+    ];
+  }
+  const findings = [];
+  if (issuer.protocol !== 'https:') {
+    findings.push(
+      finding(document, 'issuer', 'https scheme', metadata.issuer, {
+        reference,
+      }),
+    );
+  }
+  if (issuer.search || issuer.hash) {
+    findings.push(
+      finding(
+        document,
+        'issuer',
+        'no query or fragment components',
+        metadata.issuer,
+        { reference },
+      ),
+    );
+  }
+  return findings;
+}
+
+/**
+ * Validate RFC 8414 authorization server metadata.
+ *
+ * @param {Object} metadata - Metadata document
+ * @return {Array} Findings
+ */
+function validateAuthorizationServerMetadata(metadata) {
+  const document = 'oauth-authorization-server';
+  const reference = 'RFC 8414 Section 2';
+  const findings = [
+    ...checkRequired(
+      document,
+      metadata,
+      [
+        'issuer',
+        'authorization_endpoint',
+        'token_endpoint',
+        'response_types_supported',
+      ],
+      reference,
+    ),
+    ...checkIssuer(document, metadata, reference),
+    ...checkUrls(
+      document,
+      metadata,
+      [
+        ...ENDPOINT_MEMBERS,
+        'service_documentation',
+        'op_policy_uri',
+        'op_tos_uri',
+      ],
+      reference,
+    ),
+    ...checkStringArrays(document, metadata, reference),
+  ];
+
+  const methods = metadata.code_challenge_methods_supported || [];
+  if (!methods.includes('S256')) {
+    findings.push(
+      finding(
+        document,
+        'code_challenge_methods_supported',
+        'contains "S256"',
+        metadata.code_challenge_methods_supported,
+        { reference: 'RFC 7636 Section 4.2, OAuth 2.1 Section 4.1.1' },
+      ),
+    );
+  }
+  if (methods.includes('plain')) {
+    findings.push(
+      finding(
+        document,
+        'code_challenge_methods_supported',
+        'does not advertise "plain"',
+        methods,
+        { severity: 'warning', reference: 'OAuth 2.1 Section 4.1.1' },
+      ),
+    );
+  }
+
+  const responseTypes = metadata.response_types_supported || [];
+  if (responseTypes.length && !responseTypes.includes('code')) {
+    findings.push(
+      finding(
+        document,
+        'response_types_supported',
+        'contains "code"',
+        responseTypes,
+        {
+          reference: 'OAuth 2.1 Section 3.1.1',
+        },
+      ),
+    );
+  }
+
+  const removedGrants = (metadata.grant_types_supported || []).filter(grant =>
+    ['implicit', 'password'].includes(grant),
+  );
+  if (removedGrants.length) {
+    findings.push(
+      finding(
+        document,
+        'grant_types_supported',
+        'no grant types removed by OAuth 2.1',
+        removedGrants,
+        { severity: 'warning', reference: 'OAuth 2.1 Section 10' },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Validate OpenID Connect Discovery provider metadata.
+ *
+ * @param {Object} metadata - Metadata document
+ * @return {Array} Findings
+ */
+function validateOpenIdConfiguration(metadata) {
+  const document = 'openid-configuration';
+  const reference = 'OpenID Connect Discovery 1.0 Section 3';
+  const findings = [
+    ...checkRequired(
+      document,
+      metadata,
+      [
+        'issuer',
+        'authorization_endpoint',
+        'token_endpoint',
+        'jwks_uri',
+        'response_types_supported',
+        'subject_types_supported',
+        'id_token_signing_alg_values_supported',
+      ],
+      reference,
+    ),
+    ...checkIssuer(document, metadata, reference),
+    ...checkUrls(document, metadata, ENDPOINT_MEMBERS, reference),
+    ...checkStringArrays(document, metadata, reference),
+  ];
+
+  const algorithms = metadata.id_token_signing_alg_values_supported || [];
+  if (!algorithms.includes('RS256')) {
+    findings.push(
+      finding(
+        document,
+        'id_token_signing_alg_values_supported',
+        'contains "RS256"',
+        algorithms,
+        { reference },
+      ),
+    );
+  }
+  if (
+    metadata.scopes_supported &&
+    !metadata.scopes_supported.includes('openid')
+  ) {
+    findings.push(
+      finding(
+        document,
+        'scopes_supported',
+        'contains "openid"',
+        metadata.scopes_supported,
+        { reference },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Validate RFC 9728 protected resource metadata.
+ *
+ * @param {Object} metadata - Metadata document
+ * @return {Array} Findings
+ */
+function validateProtectedResourceMetadata(metadata) {
+  const document = 'oauth-protected-resource';
+  const reference = 'RFC 9728 Section 2';
+  const findings = [
+    ...checkRequired(document, metadata, ['resource'], reference),
+    ...checkUrls(
+      document,
+      metadata,
+      [
+        'resource',
+        'jwks_uri',
+        'resource_documentation',
+        'resource_policy_uri',
+        'resource_tos_uri',
+      ],
+      reference,
+    ),
+    ...checkStringArrays(document, metadata, reference),
+  ];
+
+  const servers = metadata.authorization_servers;
+  if (
+    servers !== undefined &&
+    (!Array.isArray(servers) || servers.some(server => !parseUrl(server)))
+  ) {
+    findings.push(
+      finding(
+        document,
+        'authorization_servers',
+        'JSON array of issuer URLs',
+        servers,
+        { reference },
+      ),
+    );
+  }
+
+  const invalidMethods = (metadata.bearer_methods_supported || []).filter(
+    method => !['header', 'body', 'query'].includes(method),
+  );
+  if (invalidMethods.length) {
+    findings.push(
+      finding(
+        document,
+        'bearer_methods_supported',
+        'only "header", "body" or "query"',
+        invalidMethods,
+        { reference },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Compare two values for equality, treating arrays as unordered sets.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {boolean} Whether the values are equivalent
+ */
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+  }
+  return a === b;
+}
+
+/**
+ * Check consistency between the three documents.
+ *
+ * @param {Object} documents - Metadata documents keyed by document name
+ * @return {Array} Findings
+ */
+function compareMetadataDocuments(documents) {
+  const server = documents['oauth-authorization-server'] || {};
+  const openid = documents['openid-configuration'] || {};
+  const resource = documents['oauth-protected-resource'] || {};
+  const findings = [];
+
+  SHARED_MEMBERS.filter(
+    member => server[member] !== undefined && openid[member] !== undefined,
+  )
+    .filter(member => !sameValue(server[member], openid[member]))
+    .forEach(member => {
+      findings.push(
+        finding(
+          'openid-configuration',
+          member,
+          `equal to oauth-authorization-server: ${JSON.stringify(server[member])}`,
+          openid[member],
+          { reference: 'RFC 8414 Section 5' },
+        ),
+      );
+    });
+
+  if (
+    server.issuer &&
+    resource.authorization_servers &&
+    !resource.authorization_servers.includes(server.issuer)
+  ) {
+    findings.push(
+      finding(
+        'oauth-protected-resource',
+        'authorization_servers',
+        `contains issuer ${server.issuer}`,
+        resource.authorization_servers,
+        { reference: 'RFC 9728 Section 2' },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Check that the issuer matches the URL the metadata was retrieved from.
+ *
+ * Host and path mismatches are errors; a scheme-only mismatch is a warning
+ * because test environments commonly serve HTTP behind an HTTPS issuer.
+ *
+ * @param {string} document - Document name
+ * @param {Object} metadata - Metadata document
+ * @param {string} fetchedFrom - Absolute URL the document was fetched from
+ * @return {Array} Findings
+ */
+function checkIssuerMatchesLocation(document, metadata, fetchedFrom) {
+  const issuer = parseUrl(metadata.issuer);
+  const location = parseUrl(fetchedFrom);
+  if (!issuer || !location) {
+    return [];
+  }
+  const wellKnownPath = METADATA_DOCUMENTS[document];
+  const expectedPath = `${issuer.pathname.replace(/\/$/, '')}${wellKnownPath}`;
+  const reference = 'RFC 8414 Section 3.3';
+
+  if (issuer.host !== location.host || location.pathname !== expectedPath) {
+    return [
+      finding(
+        document,
+        'issuer',
+        `matches retrieval URL ${fetchedFrom}`,
+        metadata.issuer,
+        { reference },
+      ),
+    ];
+  }
+  if (issuer.protocol !== location.protocol) {
+    return [
+      finding(
+        document,
+        'issuer',
+        `same scheme as retrieval URL ${fetchedFrom}`,
+        metadata.issuer,
+        { severity: 'warning', reference },
+      ),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Fetch the three metadata documents.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @return {Object} Object with documents, fetch findings and source URLs
+ */
+async function fetchMetadataDocuments(request) {
+  const documents = {};
+  const sources = {};
+  const findings = [];
+
+  for (const [document, path] of Object.entries(METADATA_DOCUMENTS)) {
+    const response = await request.get(path);
+    sources[document] = response.url();
+    const contentType = response.headers()['content-type'] || '';
+
+    if (response.status() !== 200) {
+      findings.push(
+        finding(document, '(response)', 'HTTP 200', response.status()),
+      );
+      continue;
+    }
+    if (!contentType.includes('application/json')) {
+      findings.push(
+        finding(document, '(response)', 'application/json', contentType),
+      );
+    }
+    try {
+      documents[document] = await response.json();
+    } catch (error) {
+      findings.push(
+        finding(document, '(response)', 'valid JSON', error.message),
+      );
+    }
+  }
+
+  return { documents, sources, findings };
+}
+
+/**
+ * Check that every advertised endpoint resolves on the site.
+ *
+ * Endpoints on the same host as the test site are requested by path so that
+ * an HTTPS issuer does not break HTTP-only environments. Any status other
+ * than 404 or 5xx counts as resolved, since POST-only endpoints answer GET
+ * with 405 and protected ones with 401.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} documents - Metadata documents keyed by document name
+ * @param {string} baseURL - Base URL of the test site
+ * @return {Array} Findings
+ */
+async function checkEndpointsResolve(request, documents, baseURL) {
+  const base = parseUrl(baseURL);
+  const checked = new Map();
+  const findings = [];
+
+  for (const [document, metadata] of Object.entries(documents)) {
+    for (const member of ENDPOINT_MEMBERS) {
+      const url = parseUrl(metadata[member]);
+      if (!url) {
+        continue;
+      }
+      const target =
+        base && url.host === base.host
+          ? `${url.pathname}${url.search}`
+          : url.href;
+      if (!checked.has(target)) {
+        let status;
+        try {
+          const response = await request.get(target, { maxRedirects: 0 });
+          status = response.status();
+        } catch (error) {
+          status = error.message;
+        }
+        checked.set(target, status);
+      }
+      const status = checked.get(target);
+      if (typeof status !== 'number' || status === 404 || status >= 500) {
+        findings.push(
+          finding(document, member, `resolves (${target})`, status),
+        );
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Fetch and validate all metadata documents.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} options - Options with baseURL and resolveEndpoints flag
+ * @return {Object} Report with documents, findings, errors and warnings
+ */
+async function validateMetadataDocuments(request, options = {}) {
+  const { resolveEndpoints = true, baseURL } = options;
+  const { documents, sources, findings } =
+    await fetchMetadataDocuments(request);
+
+  const validators = {
+    'oauth-authorization-server': validateAuthorizationServerMetadata,
+    'openid-configuration': validateOpenIdConfiguration,
+    'oauth-protected-resource': validateProtectedResourceMetadata,
+  };
+  Object.entries(documents).forEach(([document, metadata]) => {
+    findings.push(...validators[document](metadata));
+    if (document !== 'oauth-protected-resource') {
+      findings.push(
+        ...checkIssuerMatchesLocation(document, metadata, sources[document]),
+      );
+    }
+  });
+  findings.push(...compareMetadataDocuments(documents));
+  if (resolveEndpoints) {
+    findings.push(
+      ...(await checkEndpointsResolve(request, documents, baseURL)),
+    );
+  }
+
+  return {
+    documents,
+    findings,
+    errors: findings.filter(item => item.severity === 'error'),
+    warnings: findings.filter(item => item.severity === 'warning'),
+  };
+}
+
+/**
+ * Render a report as a diff of expected (-) versus actual (+) values.
+ *
+ * @param {Object} report - Report from validateMetadataDocuments()
+ * @param {Object} options - Set includeWarnings to false to list errors only
+ * @return {string} Formatted report
+ */
+function formatMetadataReport(report, options = {}) {
+  const { includeWarnings = true } = options;
+  const items = includeWarnings ? report.findings : report.errors;
+  const lines = [
+    `Metadata validation: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`,
+  ];
+  if (!items.length) {
+    return lines[0];
+  }
+
+  lines.push('--- expected', '+++ actual');
+  items.forEach(item => {
+    const reference = item.reference ? ` (${item.reference})` : '';
+    lines.push(
+      `@@ ${item.severity}: ${item.document} ${item.member}${reference} @@`,
+      `- ${item.rule}`,
+      `+ ${JSON.stringify(item.actual)}`,
+    );
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  METADATA_DOCUMENTS,
+  validateAuthorizationServerMetadata,
+  validateOpenIdConfiguration,
+  validateProtectedResourceMetadata,
+  compareMetadataDocuments,
+  fetchMetadataDocuments,
+  checkEndpointsResolve,
+  validateMetadataDocuments,
+  formatMetadataReport,
+};
@@ -0,0 +1,265 @@
+/**
+ * @file
+ * Mock OAuth protected resource for E2E tests.
+ *
+ * A small Node HTTP server standing in for an API that trusts the Drupal
+ * authorization server. Bearer tokens are validated through /oauth/introspect
+ * (RFC 7662), scopes are enforced per route, and failures carry RFC 6750
+ * challenges whose resource_metadata parameter points at
+ * /.well-known/oauth-protected-resource (RFC 9728 Section 5.1).
+ *
+ * Playwright's globalSetup starts one instance and publishes its URL in
+ * MOCK_RESOURCE_SERVER_URL.
+ */
+
+const http = require('http');
+const { ENDPOINTS } = require('./constants');
+
+/**
+ * Routes served by the resource server, mapped to their required scopes.
+ *
+ * Any other path below /api/scoped/ requires the scope named by its last
+ * segment, e.g. /api/scoped/e2e_write requires "e2e_write".
+ */
+const RESOURCE_ROUTES = {
+  '/api/public': null,
+  '/api/me': [],
+};
+
+let instance = null;
+
+/**
+ * Resolve the scopes required by a path.
+ *
+ * @param {string} pathname - Request path
+ * @return {Array|null|undefined} Required scopes, null for public routes or
+ *   undefined for unknown paths
+ */
+function getRequiredScopes(pathname) {
+  if (pathname in RESOURCE_ROUTES) {
+    return RESOURCE_ROUTES[pathname];
+  }
+  const match = pathname.match(/^\/api\/scoped\/([^/]+)$/);
+  return match ? [decodeURIComponent(match[1])] : undefined;
+}
+
+/**
+ * Build an RFC 6750 WWW-Authenticate challenge.
+ *
+ * @param {string} resourceMetadataUrl - Protected resource metadata URL
+ * @param {Object} params - Optional error, error_description and scope
+ * @return {string} Header value
+ */
+function buildChallenge(resourceMetadataUrl, params = {}) {
+  const attributes = { resource_metadata: resourceMetadataUrl, ...params };
+  return `Bearer ${Object.entries(attributes)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}="${String(value).replace(/"/g, "'")}"`)
+    .join(', ')}`;
+}
+
+/**
+ * Extract a bearer token from the Authorization header.
+ *
+ * @param {Object} req - Node request
+ * @return {string|null} Token, or null when absent
+ */
+function getBearerToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Validate a bearer token at the authorization server.
+ *
+ * The token authenticates its own introspection request, which the endpoint
+ * allows for the token owner, so a 401 means the token is not active. Any
+ * other error response is a failure of the authorization server and throws.
+ *
+ * @param {string} authorizationServer - Drupal base URL
+ * @param {string} token - Bearer token presented to the resource
+ * @return {Object} Introspection response, or { active: false }
+ */
+async function introspect(authorizationServer, token) {
+  const response = await fetch(
+    new URL(ENDPOINTS.introspect, authorizationServer),
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ token }).toString(),
+    },
+  );
+  if (response.status === 401) {
+    return { active: false };
+  }
+  if (!response.ok) {
+    throw new Error(`Introspection failed with HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Create a mock resource server.
+ *
+ * @param {Object} options - Object with authorizationServer (Drupal base URL)
+ * @return {Object} Node HTTP server
+ */
+function createMockResourceServer(options) {
+  const { authorizationServer } = options;
+  const resourceMetadataUrl = new URL(
+    ENDPOINTS.protectedResourceMetadata,
+    authorizationServer,
+  ).href;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://resource');
+    const requiredScopes = getRequiredScopes(pathname);
+
+    if (requiredScopes === undefined) {
+      send(res, 404, { error: 'not_found' });
+      return;
+    }
+    if (requiredScopes === null) {
+      send(res, 200, { resource: pathname });
+      return;
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      send(
+        res,
+        401,
+        { error: 'unauthorized' },
+        {
+          'WWW-Authenticate': buildChallenge(resourceMetadataUrl),
+        },
+      );
+      return;
+    }
+
+    let tokenInfo;
+    try {
+      tokenInfo = await introspect(authorizationServer, token);
+    } catch (error) {
+      send(res, 503, {
+        error: 'temporarily_unavailable',
+        error_description: error.message,
+      });
+      return;
+    }
+
+    if (!tokenInfo.active) {
+      send(
+        res,
+        401,
+        { error: 'invalid_token' },
+        {
+          'WWW-Authenticate': buildChallenge(resourceMetadataUrl, {
+            error: 'invalid_token',
+            error_description: 'The access token is not active',
+          }),
+        },
+      );
+      return;
+    }
+
+    const granted = (tokenInfo.scope || '').split(' ').filter(Boolean);
+    const missing = requiredScopes.filter(scope => !granted.includes(scope));
+    if (missing.length) {
+      send(
+        res,
+        403,
+        { error: 'insufficient_scope' },
+        {
+          'WWW-Authenticate': buildChallenge(resourceMetadataUrl, {
+            error: 'insufficient_scope',
+            scope: requiredScopes.join(' '),
+          }),
+        },
+      );
+      return;
+    }
+
+    send(res, 200, {
+      resource: pathname,
+      client_id: tokenInfo.client_id,
+      username: tokenInfo.username,
+      scope: granted,
+    });
+  });
+}
+
+/**
+ * Start the shared mock resource server.
+ *
+ * @param {Object} options - Object with authorizationServer, host and port
+ *   (0 picks a free port)
+ * @return {string} Base URL of the resource server
+ */
+async function startMockResourceServer(options) {
+  const { host = '127.0.0.1', port = 0 } = options;
+  if (instance) {
+    return instance.url;
+  }
+
+  const server = createMockResourceServer(options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  instance = { server, url: `http://${host}:${server.address().port}` };
+
+  return instance.url;
+}
+
+/**
+ * Stop the shared mock resource server.
+ *
+ * @return {Promise} Resolves once the server is closed
+ */
+async function stopMockResourceServer() {
+  if (!instance) {
+    return;
+  }
+  const { server } = instance;
+  instance = null;
+  server.closeAllConnections();
+  await new Promise(resolve => {
+    server.close(() => resolve());
+  });
+}
+
+/**
+ * Get the URL of the resource server started by globalSetup.
+ *
+ * @return {string} Base URL of the resource server
+ */
+function getMockResourceServerUrl() {
+  if (!process.env.MOCK_RESOURCE_SERVER_URL) {
+    throw new Error(
+      'MOCK_RESOURCE_SERVER_URL is not set; is the Playwright globalSetup configured?',
+    );
+  }
+  return process.env.MOCK_RESOURCE_SERVER_URL;
+}
+
+module.exports = {
+  RESOURCE_ROUTES,
+  buildChallenge,
+  createMockResourceServer,
+  startMockResourceServer,
+  stopMockResourceServer,
+  getMockResourceServerUrl,
+};
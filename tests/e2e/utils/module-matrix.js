@@ -0,0 +1,152 @@
+/**
+ * @file
+ * Submodule combinations for the module matrix projects.
+ *
+ * With E2E_MODULE_MATRIX set, playwright.config.js replaces the default
+ * projects with one group per combination in MODULE_MATRIX: a setup project
+ * (module-matrix.setup.js) installs exactly those submodules and snapshots
+ * the site, then the suite runs against it. Groups only depend on their own
+ * setup, so a failure in one combination does not skip the others.
+ *
+ * All groups share the site, so the matrix runs with a single worker and the
+ * fixtures in fixtures/modules.js reinstall the combination of each worker's
+ * project before its first test.
+ *
+ * Specs declare the submodules they cover with requireModules(). Outside the
+ * matrix these are enabled as usual; inside it, tests needing a submodule the
+ * combination leaves out are skipped, so everything else runs with it
+ * missing.
+ */
+
+const {
+  enableModule,
+  disableModule,
+  getInstalledModules,
+  execDrushInTestSite,
+} = require('./drush-helper');
+const { lockDatabaseShared, unlockDatabaseShared } = require('./database-lock');
+const { OAUTH_MODULE, OAUTH_SUBMODULES } = require('./constants');
+
+/**
+ * Submodules installed in each matrix combination; the others are
+ * uninstalled. "all" comes last so the site ends with every submodule.
+ */
+const MODULE_MATRIX = {
+  pkce: ['simple_oauth_pkce'],
+  'pkce-native-apps': ['simple_oauth_pkce', 'simple_oauth_native_apps'],
+  all: OAUTH_SUBMODULES,
+};
+
+/**
+ * Whether the module matrix projects are requested.
+ *
+ * @return {boolean} Whether E2E_MODULE_MATRIX is set
+ */
+function isModuleMatrixEnabled() {
+  return !!process.env.E2E_MODULE_MATRIX;
+}
+
+/**
+ * Get the combination a project runs against.
+ *
+ * @param {Object} project - Playwright project, e.g. testInfo.project
+ * @return {Object|null} Object with name and modules, from the project's
+ *   metadata.moduleCombination, or null outside the matrix
+ */
+function getModuleCombination(project) {
+  const { moduleCombination } = project.metadata || {};
+  return moduleCombination || null;
+}
+
+/**
+ * Name of the database snapshot taken once a combination is installed.
+ *
+ * @param {string} name - Combination name, a key of MODULE_MATRIX
+ * @return {string} Snapshot name
+ */
+function getCombinationSnapshot(name) {
+  return `modules-${name}`;
+}
+
+/**
+ * Install exactly the given submodules.
+ *
+ * Others are uninstalled first, so a submodule kept in the combination is
+ * never removed as the dependent of one that is not.
+ *
+ * @param {Array} modules - Submodules to keep installed
+ */
+async function applyModuleCombination(modules) {
+  const removed = OAUTH_SUBMODULES.filter(module => !modules.includes(module));
+  for (const module of removed) {
+    if (!(await disableModule(module))) {
+      throw new Error(`Could not uninstall ${module}`);
+    }
+  }
+  for (const module of [OAUTH_MODULE, ...modules]) {
+    if (!(await enableModule(module))) {
+      throw new Error(`Could not enable ${module}`);
+    }
+  }
+}
+
+/**
+ * Install exactly the given submodules unless the site already has them.
+ *
+ * @param {Array} modules - Submodules to keep installed
+ */
+async function ensureModuleCombination(modules) {
+  const installed = await getInstalledModules(OAUTH_SUBMODULES);
+  const expected = OAUTH_SUBMODULES.filter(module => modules.includes(module));
+  if (installed.join() !== expected.join()) {
+    await applyModuleCombination(modules);
+  }
+}
+
+/**
+ * Declare the submodules the tests of a file or group need.
+ *
+ * Call at the top level of a spec or inside a describe, like
+ * restoreDatabaseForFile(). Registers a beforeAll that enables the modules,
+ * or, in a module matrix project, skips the group when the combination does
+ * not include them all.
+ *
+ * @param {Object} testType - Playwright test type of the spec
+ * @param {Array} modules - Submodule machine names
+ */
+function requireModules(testType, modules) {
+  // eslint-disable-next-line no-empty-pattern
+  testType.beforeAll(async ({}, testInfo) => {
+    const combination = getModuleCombination(testInfo.project);
+    if (combination) {
+      const missing = modules.filter(
+        module => !combination.modules.includes(module),
+      );
+      testType.skip(
+        missing.length > 0,
+        `Module combination "${
+          combination.name
+        }" does not include ${missing.join(', ')}`,
+      );
+      return;
+    }
+    // Held shared like a test, so it never runs during another worker's
+    // restore.
+    await lockDatabaseShared();
+    try {
+      await execDrushInTestSite(['pm:enable', ...modules, '-y']);
+    } finally {
+      unlockDatabaseShared();
+    }
+  });
+}
+
+module.exports = {
+  MODULE_MATRIX,
+  isModuleMatrixEnabled,
+  getModuleCombination,
+  getCombinationSnapshot,
+  applyModuleCombination,
+  ensureModuleCombination,
+  requireModules,
+};
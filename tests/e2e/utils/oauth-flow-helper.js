@@ -0,0 +1,385 @@
+/**
+ * @file
+ * OAuth 2.1 authorization code flow utilities for E2E tests.
+ *
+ * Drives the browser through /oauth/authorize (login, consent) and exchanges
+ * the resulting code at /oauth/token, with RFC 7636 PKCE parameters. Also
+ * covers the device-side requests of the RFC 8628 device authorization grant.
+ */
+
+const crypto = require('crypto');
+const { ENDPOINTS, GRANT_TYPES, SELECTORS, TIMEOUTS } = require('./constants');
+
+/**
+ * Encode a buffer as base64url without padding (RFC 7636 Appendix A).
+ *
+ * @param {Buffer} buffer - Raw bytes to encode
+ * @return {string} Base64url encoded string
+ */
+function base64UrlEncode(buffer) {
+  return buffer
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Generate a high-entropy PKCE code verifier.
+ *
+ * @param {number} bytes - Number of random bytes (32 bytes = 43 characters)
+ * @return {string} Code verifier between 43 and 128 characters
+ */
+function generateCodeVerifier(bytes = 32) {
+  return base64UrlEncode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Derive the PKCE code challenge for a verifier.
+ *
+ * @param {string} codeVerifier - The code verifier
+ * @param {string} method - Challenge method, 'S256' or 'plain'
+ * @return {string} Code challenge
+ */
+function generateCodeChallenge(codeVerifier, method = 'S256') {
+  if (method === 'plain') {
+    return codeVerifier;
+  }
+  return base64UrlEncode(
+    crypto.createHash('sha256').update(codeVerifier).digest(),
+  );
+}
+
+/**
+ * Generate a PKCE verifier/challenge pair.
+ *
+ * @param {string} method - Challenge method, 'S256' or 'plain'
+ * @return {Object} Object with codeVerifier, codeChallenge and method
+ */
+function generatePkcePair(method = 'S256') {
+  const codeVerifier = generateCodeVerifier();
+  return {
+    codeVerifier,
+    codeChallenge: generateCodeChallenge(codeVerifier, method),
+    codeChallengeMethod: method,
+  };
+}
+
+/**
+ * Generate an opaque state value for CSRF protection.
+ *
+ * @return {string} Random state
+ */
+function generateState() {
+  return base64UrlEncode(crypto.randomBytes(16));
+}
+
+/**
+ * Build the authorization endpoint URL.
+ *
+ * Parameters with null or undefined values are omitted, which allows tests
+ * to deliberately leave out code_challenge and friends.
+ *
+ * @param {Object} params - Authorization request parameters
+ * @return {string} Site-relative authorization URL
+ */
+function buildAuthorizeUrl(params) {
+  const query = new URLSearchParams();
+  const {
+    clientId,
+    redirectUri,
+    scope,
+    state,
+    codeChallenge,
+    codeChallengeMethod,
+    extra = {},
+  } = params;
+
+  const values = {
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallenge ? codeChallengeMethod : undefined,
+    ...extra,
+  };
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query.append(key, value);
+    }
+  });
+
+  return `${ENDPOINTS.authorize}?${query.toString()}`;
+}
+
+/**
+ * Extract an OAuth error from a non-redirect authorization response.
+ *
+ * @param {Object} response - Playwright response from the authorize request
+ * @return {Object} Object with error and errorDescription
+ */
+async function parseAuthorizeErrorResponse(response) {
+  if (!response) {
+    return { error: 'no_response', errorDescription: null };
+  }
+  const body = await response.text();
+  try {
+    const json = JSON.parse(body);
+    return {
+      error: json.error || null,
+      errorDescription: json.error_description || json.message || null,
+    };
+  } catch (error) {
+    const match = body.match(
+      /\b(invalid_request|invalid_client|unauthorized_client|access_denied|unsupported_response_type|invalid_scope|server_error)\b/,
+    );
+    return {
+      error: match ? match[1] : `http_${response.status()}`,
+      errorDescription: null,
+    };
+  }
+}
+
+/**
+ * Check whether a response redirects to the client's redirect URI.
+ *
+ * @param {Object} response - Playwright response
+ * @param {string} redirectUri - Client redirect URI
+ * @return {boolean} Whether the response is the authorization response
+ */
+function isRedirectTo(response, redirectUri) {
+  const { location } = response.headers();
+  return (
+    response.status() >= 300 &&
+    response.status() < 400 &&
+    Boolean(location) &&
+    location.startsWith(redirectUri)
+  );
+}
+
+/**
+ * Request an authorization code through the browser.
+ *
+ * The page must already be authenticated. The authorization response is read
+ * from the Location header of the redirect, so private-use URI schemes work
+ * too. Requests to an http(s) redirect URI are fulfilled locally unless
+ * `interceptRedirect` is false, so the client does not need to exist. Consent
+ * is granted automatically unless `approve` is false, in which case the
+ * consent form is cancelled.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} options - Authorization request options
+ * @return {Object} Object with code, state, error, errorDescription and url
+ */
+async function requestAuthorizationCode(page, options) {
+  const {
+    redirectUri,
+    approve = true,
+    interceptRedirect = true,
+    timeout = TIMEOUTS.MEDIUM,
+  } = options;
+  const state = options.state === undefined ? generateState() : options.state;
+
+  const redirects = [];
+  const onResponse = response => {
+    if (isRedirectTo(response, redirectUri)) {
+      redirects.push(response.headers().location);
+    }
+  };
+  const matcher = url => url.href.startsWith(redirectUri);
+  page.on('response', onResponse);
+  if (interceptRedirect) {
+    await page.route(matcher, route =>
+      route.fulfill({
+        status: 200,
+        contentType: 'text/html',
+        body: '<html><body><h1>OAuth client callback</h1></body></html>',
+      }),
+    );
+  }
+
+  try {
+    let response = null;
+    try {
+      response = await page.goto(buildAuthorizeUrl({ ...options, state }));
+    } catch (error) {
+      // Navigating to a private-use scheme aborts the page load.
+      if (!redirects.length) {
+        throw error;
+      }
+    }
+
+    if (!redirects.length) {
+      const grant = page.locator(SELECTORS.oauth.consentGrant);
+      if (!(await grant.count())) {
+        return {
+          code: null,
+          state: null,
+          ...(await parseAuthorizeErrorResponse(response)),
+          url: page.url(),
+        };
+      }
+      const button = approve
+        ? grant.first()
+        : page.locator(SELECTORS.oauth.consentDeny).first();
+      await Promise.all([
+        page.waitForResponse(item => isRedirectTo(item, redirectUri), {
+          timeout,
+        }),
+        button.click(),
+      ]);
+    }
+
+    const redirectUrl = new URL(redirects[0]);
+    const returnedState = redirectUrl.searchParams.get('state');
+    if (state && returnedState !== state) {
+      throw new Error(
+        `State mismatch on OAuth redirect: expected ${state}, got ${returnedState}`,
+      );
+    }
+
+    return {
+      code: redirectUrl.searchParams.get('code'),
+      state: returnedState,
+      error: redirectUrl.searchParams.get('error'),
+      errorDescription: redirectUrl.searchParams.get('error_description'),
+      url: redirectUrl.href,
+    };
+  } finally {
+    page.off('response', onResponse);
+    if (interceptRedirect) {
+      await page.unroute(matcher);
+    }
+  }
+}
+
+/**
+ * POST a form to an OAuth endpoint and parse the JSON response.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {string} url - Endpoint path
+ * @param {Object} form - Form parameters
+ * @param {Object} headers - Optional extra request headers
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function postForm(request, url, form, headers = {}) {
+  const response = await request.post(url, { form, headers });
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    body = { raw: await response.text() };
+  }
+
+  return { status: response.status(), headers: response.headers(), body };
+}
+
+/**
+ * Exchange an authorization code at the token endpoint.
+ *
+ * @param {Object} request - Playwright APIRequestContext (e.g. page.request)
+ * @param {Object} options - Code, client credentials, redirect URI, verifier
+ * @return {Object} Object with status and parsed JSON body
+ */
+async function exchangeAuthorizationCode(request, options) {
+  const form = {
+    grant_type: 'authorization_code',
+    code: options.code,
+    client_id: options.clientId,
+    redirect_uri: options.redirectUri,
+  };
+  if (options.clientSecret) {
+    form.client_secret = options.clientSecret;
+  }
+  if (options.codeVerifier) {
+    form.code_verifier = options.codeVerifier;
+  }
+
+  return postForm(request, ENDPOINTS.token, form);
+}
+
+/**
+ * Run a complete authorization code + PKCE flow.
+ *
+ * Requests a code with a fresh S256 challenge as the user logged in on the
+ * page and exchanges it for tokens.
+ *
+ * @param {Object} page - Playwright page object, logged in as options.user
+ * @param {Object} options - Client details plus user and optional pkce, scope
+ * @return {Object} Object with user, pkce, authorization and token results
+ */
+async function runAuthorizationCodeFlow(page, options) {
+  const { user } = options;
+  const pkce = options.pkce || generatePkcePair(options.codeChallengeMethod);
+
+  const authorization = await requestAuthorizationCode(page, {
+    ...options,
+    codeChallenge: pkce.codeChallenge,
+    codeChallengeMethod: pkce.codeChallengeMethod,
+  });
+  if (!authorization.code) {
+    throw new Error(
+      `Authorization failed: ${authorization.error} ${authorization.errorDescription || ''}`.trim(),
+    );
+  }
+
+  const token = await exchangeAuthorizationCode(page.request, {
+    ...options,
+    code: authorization.code,
+    codeVerifier: pkce.codeVerifier,
+  });
+
+  return { user, pkce, authorization, token };
+}
+
+/**
+ * Start an RFC 8628 device authorization request.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} options - Object with clientId and optional scope
+ * @return {Object} Object with status and parsed JSON body
+ */
+async function requestDeviceAuthorization(request, options) {
+  const form = { client_id: options.clientId };
+  if (options.scope) {
+    form.scope = options.scope;
+  }
+  return postForm(request, ENDPOINTS.deviceAuthorization, form);
+}
+
+/**
+ * Poll the token endpoint once with a device code.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} options - Object with clientId and deviceCode
+ * @return {Object} Object with status and parsed JSON body
+ */
+async function requestDeviceToken(request, options) {
+  const form = {
+    grant_type: GRANT_TYPES.deviceCode,
+    device_code: options.deviceCode,
+    client_id: options.clientId,
+  };
+  if (options.clientSecret) {
+    form.client_secret = options.clientSecret;
+  }
+  return postForm(request, ENDPOINTS.token, form);
+}
+
+module.exports = {
+  base64UrlEncode,
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generatePkcePair,
+  generateState,
+  buildAuthorizeUrl,
+  postForm,
+  requestAuthorizationCode,
+  exchangeAuthorizationCode,
+  runAuthorizationCodeFlow,
+  requestDeviceAuthorization,
+  requestDeviceToken,
+};
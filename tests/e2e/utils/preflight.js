@@ -0,0 +1,313 @@
+/**
+ * @file
+ * Pre-flight health check of the E2E environment.
+ *
+ * A site that is down, a missing Drush or unset OAuth keys otherwise show up
+ * as timeouts in every spec. globalSetup runs these checks first and stops
+ * the run with one summary naming what to fix.
+ *
+ * E2E_PREFLIGHT selects what a failed check does: "fail" (default) aborts
+ * the run, "warn" only prints the summary and "off" skips the checks.
+ */
+
+const { request } = require('@playwright/test');
+const {
+  isDrushAvailable,
+  getSiteStatus,
+  execPhpInTestSite,
+  getInstalledModules,
+} = require('./drush-helper');
+const { getDrushTarget, describeDrushTarget } = require('./drupal-site');
+const { ENDPOINTS, OAUTH_MODULE, OAUTH_SUBMODULES } = require('./constants');
+
+/**
+ * Timeout of each HTTP probe in milliseconds.
+ */
+const PROBE_TIMEOUT = 10000;
+
+/**
+ * Marker printed before each check result, by status.
+ */
+const STATUS_MARKERS = {
+  pass: 'ok  ',
+  warn: 'WARN',
+  fail: 'FAIL',
+  skip: 'skip',
+};
+
+/**
+ * Get the pre-flight mode.
+ *
+ * @return {string} "fail", "warn" or "off"
+ */
+function getPreflightMode() {
+  return process.env.E2E_PREFLIGHT || 'fail';
+}
+
+/**
+ * Build a check result.
+ *
+ * @param {string} name - Check name
+ * @param {string} status - "pass", "warn", "fail" or "skip"
+ * @param {string} detail - What was found
+ * @param {string} hint - How to fix a warning or failure
+ * @return {Object} Check result
+ */
+function result(name, status, detail, hint = '') {
+  return { name, status, detail, hint };
+}
+
+/**
+ * Probe the base URL and the OAuth token endpoint.
+ *
+ * @param {string} baseURL - Drupal base URL
+ * @return {Array} Check results
+ */
+async function checkHttp(baseURL) {
+  const context = await request.newContext({
+    baseURL,
+    ignoreHTTPSErrors: true,
+    timeout: PROBE_TIMEOUT,
+  });
+  try {
+    let login;
+    try {
+      login = await context.get('/user/login', { maxRedirects: 0 });
+    } catch (error) {
+      return [
+        result(
+          'Base URL',
+          'fail',
+          `${baseURL} is not reachable: ${error.message.split('\n')[0]}`,
+          'Start the site or set DRUPAL_BASE_URL to the URL it is served on.',
+        ),
+        result('Token endpoint', 'skip', 'Base URL not reachable'),
+      ];
+    }
+
+    const checks = [
+      login.status() === 200
+        ? result('Base URL', 'pass', `${baseURL}/user/login returned 200`)
+        : result(
+            'Base URL',
+            'fail',
+            `${baseURL}/user/login returned ${login.status()}`,
+            'Check that DRUPAL_BASE_URL points at the Drupal site under test.',
+          ),
+    ];
+
+    // Without a grant type the endpoint answers 400 with an OAuth error.
+    const token = await context.post(ENDPOINTS.token, { form: {} });
+    checks.push(
+      token.status() === 400
+        ? result('Token endpoint', 'pass', `${ENDPOINTS.token} answered 400`)
+        : result(
+            'Token endpoint',
+            'fail',
+            `${ENDPOINTS.token} returned ${token.status()}`,
+            'Enable simple_oauth and check its key settings and the site log.',
+          ),
+    );
+    return checks;
+  } finally {
+    await context.dispose();
+  }
+}
+
+/**
+ * Check Drush and the site status it reports.
+ *
+ * @return {Array} Check results, led by the Drush check
+ */
+async function checkSite() {
+  let target;
+  try {
+    target = describeDrushTarget(getDrushTarget());
+  } catch (error) {
+    return [
+      result(
+        'Drush',
+        'fail',
+        error.message,
+        'Set DRUPAL_ROOT to the Drupal project directory.',
+      ),
+    ];
+  }
+
+  if (!(await isDrushAvailable())) {
+    return [
+      result(
+        'Drush',
+        'fail',
+        `drush status failed (${target})`,
+        'Install drush/drush in the Drupal project or set DRUPAL_ROOT.',
+      ),
+    ];
+  }
+
+  const status = await getSiteStatus();
+  return [
+    result('Drush', 'pass', target),
+    status.bootstrap === 'Successful'
+      ? result(
+          'Drupal bootstrap',
+          'pass',
+          `Drupal ${status['drupal-version'] || '(unknown version)'}`,
+        )
+      : result(
+          'Drupal bootstrap',
+          'fail',
+          `drush status reports bootstrap "${status.bootstrap || 'none'}"`,
+          'Install the site, e.g. drush site:install, and check settings.php.',
+        ),
+    status['db-status'] === 'Connected'
+      ? result(
+          'Database',
+          'pass',
+          `${status['db-driver'] || 'database'} connected`,
+        )
+      : result(
+          'Database',
+          'fail',
+          `drush status reports database "${status['db-status'] || 'none'}"`,
+          'Start the database and check the credentials in settings.php.',
+        ),
+  ];
+}
+
+/**
+ * Check the Simple OAuth key pair is configured and readable.
+ *
+ * @return {Array} Check results
+ */
+async function checkKeys() {
+  const keys = await execPhpInTestSite(`
+$config = \\Drupal::config("simple_oauth.settings");
+$keys = [];
+foreach (["public_key", "private_key"] as $name) {
+  $path = (string) $config->get($name);
+  $keys[$name] = ["path" => $path, "readable" => $path !== "" && is_readable($path)];
+}
+echo json_encode($keys);
+`);
+  const problems = Object.entries(keys)
+    .filter(([, key]) => !key.readable)
+    .map(([name, key]) =>
+      key.path ? `${name} ${key.path} is not readable` : `${name} is not set`,
+    );
+  return [
+    problems.length
+      ? result(
+          'OAuth keys',
+          'fail',
+          problems.join('; '),
+          'Generate a key pair outside the web root, e.g. with drush simple-oauth:generate-keys <directory>, and save its paths at /admin/config/people/simple_oauth.',
+        )
+      : result('OAuth keys', 'pass', keys.public_key.path),
+  ];
+}
+
+/**
+ * Check the main module and its submodules are enabled.
+ *
+ * @return {Array} Check results
+ */
+async function checkModules() {
+  const enabled = await getInstalledModules([
+    OAUTH_MODULE,
+    ...OAUTH_SUBMODULES,
+  ]);
+  const missing = OAUTH_SUBMODULES.filter(module => !enabled.includes(module));
+  return [
+    enabled.includes(OAUTH_MODULE)
+      ? result('OAuth 2.1 module', 'pass', `${OAUTH_MODULE} enabled`)
+      : result(
+          'OAuth 2.1 module',
+          'fail',
+          `${OAUTH_MODULE} is not enabled`,
+          `Run drush pm:enable ${OAUTH_MODULE} -y.`,
+        ),
+    missing.length
+      ? result(
+          'OAuth 2.1 submodules',
+          'warn',
+          `Not enabled: ${missing.join(', ')}`,
+          'Specs enable the submodules they cover; run drush pm:enable for all of them to match CI.',
+        )
+      : result('OAuth 2.1 submodules', 'pass', 'All enabled'),
+  ];
+}
+
+/**
+ * Whether any check failed.
+ *
+ * @param {Array} checks - Results of runPreflightChecks()
+ * @return {boolean} Whether the run should stop
+ */
+function hasPreflightFailures(checks) {
+  return checks.some(check => check.status === 'fail');
+}
+
+/**
+ * Run every pre-flight check.
+ *
+ * Checks that need a working Drush or site are skipped when it is missing,
+ * so only the first problem in a chain is reported as a failure.
+ *
+ * @param {string} baseURL - Drupal base URL
+ * @return {Array} Check results with name, status, detail and hint
+ */
+async function runPreflightChecks(baseURL) {
+  const checks = [...(await checkHttp(baseURL))];
+  const site = await checkSite();
+  checks.push(...site);
+
+  const siteChecks = {
+    'OAuth keys': checkKeys,
+    'OAuth 2.1 modules': checkModules,
+  };
+  const siteFailed = hasPreflightFailures(site);
+  for (const [name, check] of Object.entries(siteChecks)) {
+    if (siteFailed) {
+      checks.push(
+        result(name, 'skip', 'Drupal cannot be reached through Drush'),
+      );
+    } else {
+      try {
+        checks.push(...(await check()));
+      } catch (error) {
+        checks.push(result(name, 'fail', error.message));
+      }
+    }
+  }
+  return checks;
+}
+
+/**
+ * Format check results as a single summary.
+ *
+ * @param {Array} checks - Results of runPreflightChecks()
+ * @return {string} One line per check, with hints under failures and warnings
+ */
+function formatPreflightReport(checks) {
+  const lines = checks.map(
+    check =>
+      `  [${STATUS_MARKERS[check.status]}] ${check.name}: ${check.detail}${
+        check.hint ? `\n         -> ${check.hint}` : ''
+      }`,
+  );
+  const failed = checks.filter(check => check.status === 'fail').length;
+  return [
+    `E2E pre-flight check: ${
+      failed ? `${failed} problem(s) found` : 'environment ready'
+    }`,
+    ...lines,
+  ].join('\n');
+}
+
+module.exports = {
+  getPreflightMode,
+  runPreflightChecks,
+  hasPreflightFailures,
+  formatPreflightReport,
+};
@@ -0,0 +1,166 @@
+/**
+ * @file
+ * HTTP response error capture for E2E tests.
+ *
+ * Drupal often renders a fatal error as an ordinary page, so a test can pass
+ * while the site is broken. This scans every HTML and JSON response for
+ * ERROR_PATTERNS and flags 5xx responses from OAuth routes.
+ */
+
+const { ENDPOINTS, ERROR_PATTERNS } = require('./constants');
+
+/**
+ * Characters of context kept on each side of a matched pattern.
+ */
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Path prefixes served by the OAuth modules.
+ */
+const OAUTH_PATH_PREFIXES = [
+  ...new Set([...Object.values(ENDPOINTS), '/.well-known/']),
+];
+
+/**
+ * Whether a URL is an OAuth route.
+ *
+ * @param {string} url - Response URL
+ * @return {boolean} Whether the path starts with an OAuth endpoint
+ */
+function isOAuthRoute(url) {
+  const { pathname } = new URL(url);
+  return OAUTH_PATH_PREFIXES.some(prefix => pathname.startsWith(prefix));
+}
+
+/**
+ * Find the first error pattern in a response body.
+ *
+ * @param {string} body - Response body
+ * @return {Object|null} Object with pattern and snippet, or null
+ */
+function findErrorPattern(body) {
+  const patterns = [...ERROR_PATTERNS.drupal, ...ERROR_PATTERNS.php];
+  for (const pattern of patterns) {
+    const index = body.indexOf(pattern);
+    if (index !== -1) {
+      return {
+        pattern,
+        snippet: body
+          .slice(
+            Math.max(0, index - SNIPPET_CONTEXT),
+            index + pattern.length + SNIPPET_CONTEXT,
+          )
+          .replace(/\s+/g, ' ')
+          .trim(),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Setup response error capturing for a test.
+ * Returns a function to get captured errors.
+ *
+ * Works on a page or a browser context; pass the context to include popups.
+ * Bodies are read asynchronously, so the returned function waits for
+ * responses still being scanned.
+ *
+ * @param {Object} target - Playwright Page or BrowserContext
+ * @return {Function} Async function resolving to the captured errors
+ */
+function setupResponseErrorCapture(target) {
+  const responseErrors = [];
+  const pending = new Set();
+
+  const scan = async response => {
+    const url = response.url();
+    const status = response.status();
+    if (!url.startsWith('http')) {
+      return;
+    }
+
+    if (status >= 500 && isOAuthRoute(url)) {
+      responseErrors.push({ url, status, reason: `HTTP ${status}` });
+    }
+
+    const contentType = response.headers()['content-type'] || '';
+    if (!/html|json/.test(contentType)) {
+      return;
+    }
+    let body;
+    try {
+      body = await response.text();
+    } catch (error) {
+      // Redirects and aborted requests have no body.
+      return;
+    }
+    const match = findErrorPattern(body);
+    if (match) {
+      responseErrors.push({
+        url,
+        status,
+        reason: `"${match.pattern}" in response`,
+        snippet: match.snippet,
+      });
+    }
+  };
+
+  target.on('response', response => {
+    const scanning = scan(response).finally(() => pending.delete(scanning));
+    pending.add(scanning);
+  });
+
+  return async () => {
+    await Promise.all([...pending]);
+    return [...responseErrors];
+  };
+}
+
+/**
+ * Format captured response errors for a report.
+ *
+ * @param {Array} errors - Captured response errors
+ * @return {string} URL, reason and snippet of each error
+ */
+function formatResponseErrors(errors) {
+  return errors
+    .map(
+      error =>
+        `${error.reason}: ${error.url}${
+          error.snippet ? `\n  ...${error.snippet}...` : ''
+        }`,
+    )
+    .join('\n');
+}
+
+/**
+ * Assert no error responses were captured.
+ *
+ * @param {Array} errors - Captured response errors
+ * @param {Array} allowedErrors - Strings or RegExps matched against the URL
+ *   and reason of errors to ignore
+ */
+function assertNoResponseErrors(errors, allowedErrors = []) {
+  const filteredErrors = errors.filter(error => {
+    const text = `${error.url} ${error.reason}`;
+    return !allowedErrors.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern),
+    );
+  });
+
+  if (filteredErrors.length > 0) {
+    throw new Error(
+      `Error responses detected:\n${formatResponseErrors(filteredErrors)}`,
+    );
+  }
+}
+
+module.exports = {
+  OAUTH_PATH_PREFIXES,
+  isOAuthRoute,
+  findErrorPattern,
+  setupResponseErrorCapture,
+  formatResponseErrors,
+  assertNoResponseErrors,
+};
@@ -18,10 +18,13 @@ async function createUniqueAdminUser(testName = 'default') {
   const password = 'admin123';
 
   // Create user with unique credentials
-  await execDrushInTestSite(
-    `user:create ${username} --mail="${email}" --password="${password}"`,
-  );
-  await execDrushInTestSite(`user:role:add administrator ${username}`);
+  await execDrushInTestSite([
+    'user:create',
+    username,
+    `--mail=${email}`,
+    `--password=${password}`,
+  ]);
+  await execDrushInTestSite(['user:role:add', 'administrator', username]);
 
   return {
     username,
@@ -31,26 +34,15 @@ async function createUniqueAdminUser(testName = 'default') {
 }
 
 /**
- * Setup admin user and login in one step.
+ * Submit the login form shown on the current page.
  *
- * @param {Object} page - Playwright page object
- * @param {string} testName - Unique identifier for the test
- * @return {Object} User credentials used
+ * @param {Object} page - Playwright page object, already on a login form
+ * @param {Object} user - User credentials with username and password
  */
-async function setupUniqueAdminUser(page, testName = 'default') {
-  // Enable simple_oauth_21 module first
-  await execDrushInTestSite('pm:enable simple_oauth_21 -y');
-
-  // Create unique user
-  const user = await createUniqueAdminUser(testName);
-
-  // Login
-  await page.goto('/user/login');
+async function loginUser(page, user) {
   await page.fill('#edit-name', user.username);
   await page.fill('#edit-pass', user.password);
   await page.click('#edit-submit');
-
-  return user;
 }
 
 /**
@@ -60,7 +52,7 @@ async function setupUniqueAdminUser(page, testName = 'default') {
  */
 async function cleanupTestUser(username) {
   try {
-    await execDrushInTestSite(`user:delete ${username}`);
+    await execDrushInTestSite(['user:delete', username]);
   } catch (error) {
     // Ignore errors if user doesn't exist
     console.log(`Could not delete user ${username}: ${error.message}`);
@@ -69,6 +61,6 @@ async function cleanupTestUser(username) {
 
 module.exports = {
   createUniqueAdminUser,
-  setupUniqueAdminUser,
+  loginUser,
   cleanupTestUser,
 };
@@ -4,6 +4,7 @@
  */
 
 const { execDrushInTestSite } = require('./drush-helper');
+const { getConfig } = require('./config-helper');
 
 /**
  * Get the active theme from Drupal.
@@ -12,8 +13,7 @@ const { execDrushInTestSite } = require('./drush-helper');
  */
 async function getActiveTheme() {
   try {
-    const result = await execDrushInTestSite('config:get system.theme default');
-    return result.trim() || 'stark';
+    return (await getConfig('system.theme', 'default')) || 'stark';
   } catch (error) {
     console.log(
       `Failed to get active theme: ${error.message}, defaulting to stark`,
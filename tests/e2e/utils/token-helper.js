@@ -0,0 +1,85 @@
+/**
+ * @file
+ * Token introspection (RFC 7662) and revocation (RFC 7009) utilities.
+ *
+ * Introspection callers authenticate with a bearer token; revocation callers
+ * authenticate as the client using one of CLIENT_AUTH_METHODS.
+ */
+
+const { postForm } = require('./oauth-flow-helper');
+const { ENDPOINTS } = require('./constants');
+
+/**
+ * Client authentication methods (RFC 6749 Section 2.3.1) this helper drives.
+ *
+ * Each entry maps a client to the headers and form parameters carrying its
+ * credentials.
+ */
+const CLIENT_AUTH_METHODS = {
+  client_secret_basic: client => ({
+    headers: {
+      Authorization: `Basic ${Buffer.from(
+        `${encodeURIComponent(client.clientId)}:${encodeURIComponent(
+          client.clientSecret,
+        )}`,
+      ).toString('base64')}`,
+    },
+    form: {},
+  }),
+  client_secret_post: client => ({
+    headers: {},
+    form: { client_id: client.clientId, client_secret: client.clientSecret },
+  }),
+  none: client => ({
+    headers: {},
+    form: { client_id: client.clientId },
+  }),
+};
+
+/**
+ * Introspect a token.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} options - Object with token (as issued), bearer and
+ *   tokenTypeHint
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function introspectToken(request, options) {
+  const form = { token: options.token };
+  if (options.tokenTypeHint) {
+    form.token_type_hint = options.tokenTypeHint;
+  }
+  const headers = options.bearer
+    ? { Authorization: `Bearer ${options.bearer}` }
+    : {};
+
+  return postForm(request, ENDPOINTS.introspect, form, headers);
+}
+
+/**
+ * Revoke a token, authenticating as the client.
+ *
+ * @param {Object} request - Playwright APIRequestContext
+ * @param {Object} client - Object with clientId and clientSecret
+ * @param {Object} options - Object with token, tokenTypeHint and authMethod
+ * @return {Object} Object with status, headers and parsed JSON body
+ */
+async function revokeToken(request, client, options) {
+  const authMethod = options.authMethod || 'client_secret_post';
+  if (!CLIENT_AUTH_METHODS[authMethod]) {
+    throw new Error(`Unsupported client authentication method ${authMethod}`);
+  }
+  const credentials = CLIENT_AUTH_METHODS[authMethod](client);
+  const form = { ...credentials.form, token: options.token };
+  if (options.tokenTypeHint) {
+    form.token_type_hint = options.tokenTypeHint;
+  }
+
+  return postForm(request, ENDPOINTS.revoke, form, credentials.headers);
+}
+
+module.exports = {
+  CLIENT_AUTH_METHODS,
+  introspectToken,
+  revokeToken,
+};
@@ -0,0 +1,136 @@
+/**
+ * @file
+ * Watchdog (dblog) capture for E2E tests.
+ *
+ * Most server-side failures never reach the browser console: PHP warnings
+ * and uncaught exceptions end up in the watchdog table. These helpers read
+ * every entry logged after the newest one present when a test started, and
+ * classify them with ERROR_PATTERNS.
+ */
+
+const { execPhpInTestSite } = require('./drush-helper');
+const { ERROR_PATTERNS } = require('./constants');
+
+/**
+ * RFC 5424 severities that make an entry critical.
+ */
+const CRITICAL_SEVERITIES = ['emergency', 'alert', 'critical', 'error'];
+
+/**
+ * PHP errors that are critical whatever severity they were logged with.
+ */
+const FATAL_PHP_PATTERNS = ['Fatal error', 'Parse error'];
+
+/**
+ * Get the ID of the newest watchdog entry.
+ *
+ * @return {number} Entry ID, or 0 when the log is empty
+ */
+async function getLastWatchdogId() {
+  const wid = await execPhpInTestSite(
+    `
+echo json_encode((int) \\Drupal::database()->query("SELECT MAX(wid) FROM {watchdog}")->fetchField());
+`,
+  );
+  return Number(wid);
+}
+
+/**
+ * Get the watchdog entries logged after a given entry.
+ *
+ * Messages are formatted with their variables, as on the Recent log
+ * messages page.
+ *
+ * @param {number} wid - ID recorded with getLastWatchdogId()
+ * @return {Array} Entries with wid, type, severity, message and location,
+ *   oldest first
+ */
+async function getWatchdogEntriesSince(wid) {
+  const entries = await execPhpInTestSite(
+    `
+$levels = \\Drupal\\Core\\Logger\\RfcLogLevel::getLevels();
+$formatter = \\Drupal::classResolver(\\Drupal\\dblog\\Controller\\DbLogController::class);
+$rows = \\Drupal::database()->select("watchdog", "w")
+  ->fields("w", ["wid", "type", "severity", "message", "variables", "location"])
+  ->condition("wid", $input, ">")
+  ->orderBy("wid")
+  ->execute();
+$entries = [];
+foreach ($rows as $row) {
+  $entries[] = [
+    "wid" => (int) $row->wid,
+    "type" => $row->type,
+    "severity" => (string) $levels[$row->severity],
+    "message" => strip_tags((string) ($formatter->formatMessage($row) ?: $row->message)),
+    "location" => $row->location,
+  ];
+}
+echo json_encode($entries);
+`,
+    wid,
+  );
+  if (!Array.isArray(entries)) {
+    throw new Error(`Unexpected watchdog output: ${entries}`);
+  }
+  return entries;
+}
+
+/**
+ * Classify a watchdog entry with ERROR_PATTERNS.
+ *
+ * Entries of type "php" or matching ERROR_PATTERNS.php are PHP errors;
+ * entries matching ERROR_PATTERNS.drupal are Drupal errors and always
+ * critical. PHP errors are critical when logged as errors or worse, or when
+ * they are fatal.
+ *
+ * @param {Object} entry - Entry from getWatchdogEntriesSince()
+ * @return {Object} Entry with category ("php", "drupal" or null) and critical
+ */
+function classifyWatchdogEntry(entry) {
+  const message = String(entry.message || '');
+  const severity = String(entry.severity || '').toLowerCase();
+  const matches = patterns =>
+    patterns.some(pattern => message.includes(pattern));
+
+  let category = null;
+  if (matches(ERROR_PATTERNS.drupal)) {
+    category = 'drupal';
+  } else if (entry.type === 'php' || matches(ERROR_PATTERNS.php)) {
+    category = 'php';
+  }
+
+  return {
+    ...entry,
+    severity,
+    category,
+    critical:
+      category === 'drupal' ||
+      (category === 'php' &&
+        (CRITICAL_SEVERITIES.includes(severity) ||
+          matches(FATAL_PHP_PATTERNS))),
+  };
+}
+
+/**
+ * Format classified entries for an error message or report.
+ *
+ * @param {Array} entries - Classified entries
+ * @return {string} One line per entry
+ */
+function formatWatchdogReport(entries) {
+  return entries
+    .map(
+      entry =>
+        `#${entry.wid} [${entry.type}/${entry.severity}] ${entry.message}${
+          entry.location ? ` (${entry.location})` : ''
+        }`,
+    )
+    .join('\n');
+}
+
+module.exports = {
+  getLastWatchdogId,
+  getWatchdogEntriesSince,
+  classifyWatchdogEntry,
+  formatWatchdogReport,
+};